@@ -1,23 +1,43 @@
 const config = require('./src/config');
 const ClientManager = require('./src/clientManager');
 const GiftService = require('./src/giftService');
-const { logger } = require('./src/logger');
+const { logger, COMPONENTS } = require('./src/logger');
 const TelegramNotifier = require('./src/telegramNotifier');
+const { createNotificationSink } = require('./src/notificationSinks');
 const TelegramController = require('./src/telegramController');
+const ConfigWatcher = require('./src/configWatcher');
+const MetricsServer = require('./src/metricsServer');
+const AdminApi = require('./src/adminApi');
+const FileLogSink = require('./src/fileLogSink');
+const { metrics } = require('./src/metricsRegistry');
 
 /**
  * Main application class
  */
 class Application {
     constructor() {
+        logger.setLevels(config.logging.levels);
+
+        this.fileLogSink = null;
+        if (config.logging.file.enabled) {
+            this.fileLogSink = new FileLogSink(config.logging.file);
+            logger.addListener(this.fileLogSink.createLogListener(), 'file');
+        }
+
         this.clientManager = new ClientManager(
             config.accounts, 
-            logger
+            logger.child({ component: COMPONENTS.CLIENT_MANAGER }),
+            config.checker
         );
         this.giftService = null;
         this.notifier = null;
+        this.notificationSinks = [];
         this.controller = null;
         this.checkInterval = null;
+        this.balanceRefreshInterval = null;
+        this.configWatcher = new ConfigWatcher(config, logger.child({ component: COMPONENTS.CONFIG_WATCHER }), changedKeys => this._applyConfigChanges(changedKeys));
+        this.metricsServer = new MetricsServer(config.metrics, metrics, logger.child({ component: COMPONENTS.METRICS }));
+        this.adminApi = new AdminApi(config.adminApi, this, logger.child({ component: COMPONENTS.ADMIN_API }));
         this.isRunning = false;
     }
 
@@ -27,22 +47,31 @@ class Application {
     async initialize() {
         logger.info('Initializing Telegram Gift Monitor...');
         logger.info(`Supply Threshold: ${config.maxGiftSupply}`);
+        logger.info(`Purchase rules: ${config.purchaseRules.map(rule => `${rule.name} (priority ${rule.priority})`).join(', ')}`);
         logger.info(`Check Interval: ${config.checkIntervalMs}ms`);
         logger.info(`Number of accounts: ${config.accounts.length}`);
+
+        if (config.dryRun) {
+            logger.warning('DRY RUN mode enabled: purchases will be simulated and no stars will be spent');
+        }
         
         // Log each account's phone number and API ID
         config.accounts.forEach((account, index) => {
             logger.info(`Account ${index + 1}: ${account.phoneNumber} (API ID: ${account.apiId})`);
         });
         
+        // Delivery problems of the notifiers are logged under their own component, which the notifiers skip
+        const notificationLogger = logger.child({ component: COMPONENTS.NOTIFICATIONS });
+
         if (config.notifications && config.notifications.enabled) {
             logger.info('Initializing notification system...');
             this.notifier = new TelegramNotifier({
                 botToken: config.notifications.botToken,
-                channelIds: config.notifications.channelIds
-            });
+                channelIds: config.notifications.channelIds,
+                routes: config.notifications.routes
+            }, notificationLogger);
             
-            logger.addListener(this.notifier.createLogListener());
+            logger.addListener(this.notifier.createLogListener(), 'notifications');
             
             logger.info('Notification system initialized');
             
@@ -52,6 +81,13 @@ class Application {
             logger.info('Notifications disabled');
         }
 
+        for (const settings of config.notifications.sinks) {
+            const sink = createNotificationSink(settings, notificationLogger);
+            logger.addListener(sink.createLogListener(), sink.name);
+            this.notificationSinks.push(sink);
+            logger.info(`Notification sink ${sink.name} (${settings.type}) initialized`);
+        }
+
         try {
             await this.clientManager.initializeClients();
             
@@ -61,7 +97,7 @@ class Application {
                 this.controller = new TelegramController(
                     config.controller,
                     null, // Will be set after GiftService is created
-                    logger,
+                    logger.child({ component: COMPONENTS.CONTROLLER }),
                     this.clientManager // Pass clientManager for sticker downloading
                 );
                 logger.info('Telegram controller initialized');
@@ -73,13 +109,15 @@ class Application {
             this.giftService = new GiftService(
                 this.clientManager, 
                 config, 
-                logger,
+                logger.child({ component: COMPONENTS.GIFT_SERVICE }),
                 this.controller
             );
+            this.giftService.loadCatalog();
             
-            // Set the giftService in the controller
+            // Set the giftService and the application in the controller
             if (this.controller) {
                 this.controller.giftService = this.giftService;
+                this.controller.application = this;
             }
             
             logger.warning('Initialization complete!');
@@ -113,6 +151,12 @@ class Application {
             }
         }
         
+        startupPromises.push(this.metricsServer.start());
+        startupPromises.push(this.adminApi.start());
+
+        logger.info('Fetching stars balances...');
+        startupPromises.push(this.giftService.refreshBalances());
+
         logger.info('Performing initial gift check...');
         startupPromises.push(
             this.giftService.checkAndPurchaseGifts()
@@ -124,6 +168,26 @@ class Application {
         await Promise.all(startupPromises);
         logger.info('All startup tasks completed');
 
+        this._scheduleChecks();
+        this._scheduleBalanceRefresh();
+        this.configWatcher.start();
+
+        logger.warning(`Gift monitoring started. Checking every ${config.checkIntervalMs}ms`);
+        
+        if (this.notifier) {
+            this.notifier.warning(`Gift monitoring started. Checking every ${config.checkIntervalMs}ms`);
+        }
+    }
+
+    /**
+     * (Re)start the periodic gift check timer using the configured interval
+     * @private
+     */
+    _scheduleChecks() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+
         this.checkInterval = setInterval(() => {
             if (!this.isRunning) return;
 
@@ -132,14 +196,75 @@ class Application {
                     logger.error('Error during gift check:', error);
                 });
         }, config.checkIntervalMs);
+    }
 
-        logger.warning(`Gift monitoring started. Checking every ${config.checkIntervalMs}ms`);
-        
-        if (this.notifier) {
-            this.notifier.warning(`Gift monitoring started. Checking every ${config.checkIntervalMs}ms`);
+    /**
+     * (Re)start the periodic stars balance refresh timer using the configured interval
+     * @private
+     */
+    _scheduleBalanceRefresh() {
+        if (this.balanceRefreshInterval) {
+            clearInterval(this.balanceRefreshInterval);
+        }
+
+        this.balanceRefreshInterval = setInterval(() => {
+            if (!this.isRunning) return;
+
+            this.giftService.refreshBalances()
+                .catch(error => {
+                    logger.error('Error refreshing stars balances:', error);
+                });
+        }, config.balanceRefreshIntervalMs);
+    }
+
+    /**
+     * Apply settings changed in config.json while running
+     * @param {Array<string>} changedKeys - Changed configuration keys
+     * @private
+     */
+    _applyConfigChanges(changedKeys) {
+        this.giftService.applyConfig();
+
+        if (changedKeys.includes('logging.levels')) {
+            logger.setLevels(config.logging.levels);
+        }
+
+        if (changedKeys.includes('notifications.routes') && this.notifier) {
+            this.notifier.setRoutes(config.notifications.routes);
+        }
+
+        if (changedKeys.some(key => key.endsWith('.recipients') || key.endsWith('.distribution'))) {
+            this.clientManager.resetRecipientSelectors();
+        }
+
+        if (!this.isRunning) {
+            return;
+        }
+
+        if (changedKeys.includes('checkIntervalMs')) {
+            this._scheduleChecks();
+        }
+
+        if (changedKeys.includes('balanceRefreshIntervalMs')) {
+            this._scheduleBalanceRefresh();
         }
     }
 
+    /**
+     * Change the gift check interval without restarting
+     * @param {number} intervalMs - New interval in milliseconds
+     */
+    setCheckInterval(intervalMs) {
+        const previousIntervalMs = config.checkIntervalMs;
+        config.checkIntervalMs = intervalMs;
+
+        if (this.isRunning) {
+            this._scheduleChecks();
+        }
+
+        logger.warning(`Check interval changed from ${previousIntervalMs}ms to ${intervalMs}ms`);
+    }
+
     /**
      * Stop the gift monitoring process
      */
@@ -150,12 +275,22 @@ class Application {
 
         logger.info('Stopping gift monitoring...');
         this.isRunning = false;
+        this.configWatcher.stop();
+        await this.metricsServer.stop();
+        await this.adminApi.stop();
 
         if (this.checkInterval) {
             clearInterval(this.checkInterval);
             this.checkInterval = null;
         }
 
+        if (this.balanceRefreshInterval) {
+            clearInterval(this.balanceRefreshInterval);
+            this.balanceRefreshInterval = null;
+        }
+
+        this.giftService.supplyTracker.save(true);
+
         if (this.notifier) {
             this.notifier.warning('Gift monitoring stopped');
         }
@@ -171,6 +306,14 @@ class Application {
 
         await this.clientManager.disconnectAll();
         logger.info('All clients disconnected');
+
+        // Every sink gets the same few seconds to send its queue
+        const sinks = this.notifier ? [this.notifier, ...this.notificationSinks] : this.notificationSinks;
+        await Promise.all(sinks.map(sink => sink.stop()));
+
+        if (this.fileLogSink) {
+            this.fileLogSink.close();
+        }
     }
 }
 
@@ -0,0 +1,84 @@
+const PurchaseLedger = require('./src/purchaseLedger');
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+    console.log('Usage: npm run ledger -- <gift|account|day> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--dry-run]');
+    console.log('');
+    console.log('  gift      Totals per gift');
+    console.log('  account   Totals per account');
+    console.log('  day       Totals per day (UTC)');
+    console.log('');
+    console.log('  --since   Only include purchases on or after this day');
+    console.log('  --until   Only include purchases on or before this day');
+    console.log('  --dry-run Include simulated purchases');
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{groupBy: string, filter: Object}|null} Parsed arguments or null if they are invalid
+ */
+function parseArgs(args) {
+    const [groupBy, ...options] = args;
+    const filter = {};
+
+    if (!Object.values(PurchaseLedger.GROUP_BY).includes(groupBy)) {
+        return null;
+    }
+
+    for (let i = 0; i < options.length; i++) {
+        switch (options[i]) {
+            case '--since':
+                filter.since = options[++i];
+                break;
+            case '--until':
+                filter.until = options[++i];
+                break;
+            case '--dry-run':
+                filter.includeDryRun = true;
+                break;
+            default:
+                return null;
+        }
+    }
+
+    return { groupBy, filter };
+}
+
+/**
+ * Main function
+ */
+function main() {
+    const parsed = parseArgs(process.argv.slice(2));
+
+    if (!parsed) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const ledger = new PurchaseLedger();
+    const rows = ledger.summarize(parsed.groupBy, parsed.filter);
+
+    if (rows.length === 0) {
+        console.log('No purchases recorded for the selected period');
+        return;
+    }
+
+    console.table(rows.map(row => ({
+        [parsed.groupBy]: row.key,
+        units: row.units,
+        upgrades: row.upgrades,
+        stars: row.stars,
+        manualUnits: row.manualUnits,
+        failed: row.failed,
+        attempts: row.attempts
+    })));
+
+    const totalUnits = rows.reduce((sum, row) => sum + row.units, 0);
+    const totalStars = rows.reduce((sum, row) => sum + row.stars, 0);
+    console.log(`Total: ${totalUnits} unit(s), ${totalStars} ⭐️`);
+}
+
+main();
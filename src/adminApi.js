@@ -0,0 +1,467 @@
+const http = require('http');
+const crypto = require('crypto');
+const AuditLog = require('./auditLog');
+const GiftCatalogStore = require('./giftCatalogStore');
+const HttpError = require('./httpError');
+
+/**
+ * Maximum size of a request body in bytes
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Minimum check interval accepted by the API, same as the controller /interval command
+ * @type {number}
+ */
+const MIN_INTERVAL_MS = 100;
+
+/**
+ * Number of finished API purchases kept for GET /api/purchases
+ * @type {number}
+ */
+const MAX_KEPT_PURCHASES = 50;
+
+/**
+ * Local HTTP API for driving the monitor programmatically.
+ * Every request must carry the configured token as "Authorization: Bearer <token>".
+ *
+ * Routes:
+ * - GET  /api/status: auto-buy state, interval, last check and checker accounts
+ * - GET  /api/accounts: accounts, their recipients and stars balances
+ * - GET  /api/gifts: cached gift catalog
+ * - POST /api/purchases: start buying a gift, body {giftId, quantity?, accounts?}, answers 202 with a purchase ID
+ * - GET  /api/purchases: purchases started through the API, running and recently finished
+ * - POST /api/pause, POST /api/resume: pause or resume auto-buy
+ * - PUT  /api/interval: change the check interval, body {intervalMs}
+ */
+class AdminApi {
+    /**
+     * @param {Object} config - Admin API settings
+     * @param {boolean} config.enabled - Whether the API is enabled
+     * @param {string} config.host - Address to listen on
+     * @param {number} config.port - Port to listen on
+     * @param {string} config.token - Token clients must send
+     * @param {Object} application - Application instance (index.js)
+     * @param {import('./logger').Logger} logger - Logger instance
+     */
+    constructor(config, application, logger) {
+        this.config = config;
+        this.application = application;
+        this.logger = logger;
+        this.auditLog = new AuditLog(logger);
+        this.server = null;
+        /** @type {Map<string, Object>} Purchases started through the API by purchase ID, oldest first */
+        this.purchases = new Map();
+        this.routes = {
+            'GET /api/status': () => this.getStatus(),
+            'GET /api/accounts': () => this.getAccounts(),
+            'GET /api/gifts': () => this.getGifts(),
+            'GET /api/purchases': () => this.getPurchases(),
+            'POST /api/purchases': body => this.purchase(body),
+            'POST /api/pause': () => this.setAutoBuy(false),
+            'POST /api/resume': () => this.setAutoBuy(true),
+            'PUT /api/interval': body => this.setInterval(body)
+        };
+    }
+
+    /**
+     * Check the token of a request in constant time
+     * @param {http.IncomingMessage} req - Request
+     * @returns {boolean}
+     * @private
+     */
+    isAuthorized(req) {
+        const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+
+        if (!match) {
+            return false;
+        }
+
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(match[1]), digest(this.config.token));
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} Parsed body, an empty object for an empty body
+     * @throws {HttpError} If the body is too large or is not a JSON object
+     * @private
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'Request body is too large'));
+                    req.destroy();
+                    return;
+                }
+
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+
+                if (text.trim() === '') {
+                    resolve({});
+                    return;
+                }
+
+                try {
+                    const body = JSON.parse(text);
+
+                    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                        reject(new HttpError(400, 'Request body must be a JSON object'));
+                        return;
+                    }
+
+                    resolve(body);
+                } catch (error) {
+                    reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Send a JSON response, BigInt peer IDs are sent as strings
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {Object} body - Response body
+     * @private
+     */
+    sendJson(res, status, body) {
+        const json = JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(json);
+    }
+
+    /**
+     * Handle an HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+        const route = `${req.method} ${path}`;
+        const details = { remoteAddress: req.socket.remoteAddress };
+
+        if (!this.isAuthorized(req)) {
+            this.audit(route, false, details);
+            this.sendJson(res, 401, { error: 'Missing or invalid token' });
+            return;
+        }
+
+        const handler = this.routes[route];
+
+        if (!handler) {
+            this.sendJson(res, 404, { error: `Unknown route ${route}` });
+            return;
+        }
+
+        try {
+            const body = req.method === 'GET' ? {} : await this.readBody(req);
+
+            if (req.method !== 'GET') {
+                this.audit(route, true, { ...details, body });
+            }
+
+            const result = await handler(body);
+            this.sendJson(res, route === 'POST /api/purchases' ? 202 : 200, result);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                this.sendJson(res, error.status, { error: error.message });
+                return;
+            }
+
+            this.logger.error(`Admin API error handling ${route}:`, error);
+            this.sendJson(res, 500, { error: 'Internal error' });
+        }
+    }
+
+    /**
+     * Write an API action to the audit log
+     * @param {string} route - Method and path of the request
+     * @param {boolean} allowed - Whether the request was authorized
+     * @param {Object} details - Request details
+     * @private
+     */
+    audit(route, allowed, details) {
+        this.auditLog.record({
+            userId: null,
+            username: null,
+            role: allowed ? 'api' : null,
+            action: route,
+            allowed,
+            details
+        });
+    }
+
+    /**
+     * Get the gift service, which exists once the application is initialized
+     * @returns {import('./giftService')}
+     * @throws {HttpError} If the application is not initialized yet
+     * @private
+     */
+    getGiftService() {
+        if (!this.application.giftService) {
+            throw new HttpError(503, 'The monitor is not initialized yet');
+        }
+
+        return this.application.giftService;
+    }
+
+    /**
+     * GET /api/status
+     * @returns {Object}
+     */
+    getStatus() {
+        const giftService = this.getGiftService();
+        const config = giftService.config;
+        const lastCheck = giftService.lastCheck;
+        const checkerPool = this.application.clientManager.checkerPool;
+
+        return {
+            uptimeSeconds: Math.floor(process.uptime()),
+            running: this.application.isRunning,
+            autoBuyEnabled: config.autoBuyEnabled,
+            dryRun: config.dryRun,
+            checkIntervalMs: config.checkIntervalMs,
+            lastCheck: lastCheck ? { ...lastCheck, at: lastCheck.at.toISOString() } : null,
+            checkers: checkerPool ? checkerPool.getStatus() : [],
+            knownGifts: giftService.giftIdsCache.size
+        };
+    }
+
+    /**
+     * GET /api/accounts
+     * @returns {Object}
+     */
+    getAccounts() {
+        const giftService = this.getGiftService();
+        const clientManager = this.application.clientManager;
+        const clients = clientManager.getAllClients();
+
+        return {
+            accounts: clientManager.accounts.map(account => {
+                const client = clients.find(candidate => clientManager.clientsMap.get(candidate).phoneNumber === account.phoneNumber);
+                const me = client ? clientManager.getUserInfo(client) : null;
+
+                return {
+                    phoneNumber: account.phoneNumber,
+                    initialized: !!client,
+                    userId: me ? me.id : null,
+                    username: me ? me.username || null : null,
+                    recipients: account.recipients,
+                    distribution: account.distribution,
+                    manualPeerId: account.manualPeerId,
+                    balance: client ? giftService.balanceTracker.getBalance(client) : null
+                };
+            })
+        };
+    }
+
+    /**
+     * GET /api/gifts
+     * @returns {Object}
+     */
+    getGifts() {
+        const giftService = this.getGiftService();
+
+        return {
+            gifts: [...giftService.giftsMap.values()].map(gift => GiftCatalogStore.snapshotGift(gift))
+        };
+    }
+
+    /**
+     * GET /api/purchases
+     * @returns {Object}
+     */
+    getPurchases() {
+        return { purchases: [...this.purchases.values()].reverse() };
+    }
+
+    /**
+     * POST /api/purchases. The purchase runs in the background, so the request is answered
+     * right away and its progress can be followed with GET /api/purchases.
+     * @param {Object} body - Request body
+     * @param {string} body.giftId - ID of a cached gift
+     * @param {number} [body.quantity] - Units per account, defaults to the configured maximum
+     * @param {Array<string>} [body.accounts] - Phone numbers of the accounts that buy, defaults to all accounts
+     * @returns {Object} Started purchase
+     */
+    purchase(body) {
+        const giftService = this.getGiftService();
+        const giftId = body.giftId != null ? String(body.giftId) : '';
+        const quantity = body.quantity ?? 0;
+
+        if (!giftService.giftsMap.has(giftId)) {
+            throw new HttpError(404, `Gift ${giftId || '(missing giftId)'} is not in the cache`);
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new HttpError(400, 'quantity must be a non-negative integer, 0 for the default');
+        }
+
+        let accounts = null;
+        if (body.accounts != null) {
+            const phoneNumbers = this.application.clientManager.accounts.map(account => account.phoneNumber);
+
+            if (!Array.isArray(body.accounts) || body.accounts.length === 0) {
+                throw new HttpError(400, 'accounts must be a non-empty array of phone numbers');
+            }
+
+            const unknown = body.accounts.filter(phoneNumber => !phoneNumbers.includes(phoneNumber));
+            if (unknown.length > 0) {
+                throw new HttpError(400, `Unknown accounts: ${unknown.join(', ')}`);
+            }
+
+            accounts = body.accounts;
+        }
+
+        const purchase = {
+            purchaseId: crypto.randomBytes(4).toString('hex'),
+            giftId,
+            quantity,
+            accounts,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+        this.trackPurchase(purchase);
+
+        this.logger.warning(`Admin API purchase ${purchase.purchaseId} of gift ${giftId}`, {
+            quantity: quantity || 'default',
+            accounts: accounts || 'all'
+        });
+
+        giftService.purchaseGiftsWithAllClients(giftId, quantity, true, null, accounts)
+            .then(result => {
+                purchase.status = 'finished';
+                purchase.result = result || { attempted: 0, succeeded: 0, elapsedMs: 0 };
+            })
+            .catch(error => {
+                this.logger.error(`Admin API purchase ${purchase.purchaseId} of gift ${giftId} failed:`, error);
+                purchase.status = 'failed';
+                purchase.error = error.message;
+            })
+            .finally(() => {
+                purchase.finishedAt = new Date().toISOString();
+            });
+
+        return purchase;
+    }
+
+    /**
+     * Remember a purchase, dropping the oldest finished ones beyond MAX_KEPT_PURCHASES
+     * @param {Object} purchase - Started purchase
+     * @private
+     */
+    trackPurchase(purchase) {
+        this.purchases.set(purchase.purchaseId, purchase);
+
+        for (const [purchaseId, kept] of this.purchases) {
+            if (this.purchases.size <= MAX_KEPT_PURCHASES) {
+                break;
+            }
+
+            if (kept.status !== 'running') {
+                this.purchases.delete(purchaseId);
+            }
+        }
+    }
+
+    /**
+     * POST /api/pause and POST /api/resume
+     * @param {boolean} enabled - Whether auto-buy should be enabled
+     * @returns {Object}
+     */
+    setAutoBuy(enabled) {
+        const giftService = this.getGiftService();
+        giftService.setAutoBuyEnabled(enabled);
+
+        return { autoBuyEnabled: giftService.config.autoBuyEnabled };
+    }
+
+    /**
+     * PUT /api/interval
+     * @param {Object} body - Request body
+     * @param {number} body.intervalMs - New check interval in milliseconds
+     * @returns {Object}
+     */
+    setInterval(body) {
+        const intervalMs = body.intervalMs;
+
+        if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS) {
+            throw new HttpError(400, `intervalMs must be an integer of at least ${MIN_INTERVAL_MS}`);
+        }
+
+        this.application.setCheckInterval(intervalMs);
+        return { checkIntervalMs: intervalMs };
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.config.enabled || this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    this.logger.error('Admin API request failed:', error);
+                });
+            });
+
+            server.once('error', error => {
+                this.logger.error(`Failed to start the admin API on ${this.config.host}:${this.config.port}:`, error);
+                this.server = null;
+                resolve();
+            });
+
+            server.listen(this.config.port, this.config.host, () => {
+                this.logger.info(`Admin API available at http://${this.config.host}:${this.config.port}/api`);
+                resolve();
+            });
+
+            this.server = server;
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+}
+
+module.exports = AdminApi;
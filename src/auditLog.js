@@ -0,0 +1,48 @@
+const fs = require('fs');
+const { dataPath, ensureDataDir } = require('./dataStore');
+
+/**
+ * Default file name of the audit log
+ * @type {string}
+ */
+const AUDIT_FILE = 'audit.jsonl';
+
+/**
+ * Append-only audit log of controller actions stored as JSON lines
+ */
+class AuditLog {
+    /**
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {string} [filePath] - Path of the audit log file
+     */
+    constructor(logger, filePath = dataPath(AUDIT_FILE)) {
+        this.logger = logger;
+        this.filePath = filePath;
+    }
+
+    /**
+     * Record an action
+     * @param {Object} entry - Audit entry
+     * @param {number|null} entry.userId - Telegram user ID of the actor
+     * @param {string|null} entry.username - Telegram username of the actor
+     * @param {string|null} entry.role - Role of the actor, null if unauthorized
+     * @param {string} entry.action - Action name, e.g. "purchase" or "confirm"
+     * @param {boolean} entry.allowed - Whether the action was allowed
+     * @param {Object} [entry.details] - Action details
+     */
+    record(entry) {
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            ...entry
+        });
+
+        try {
+            ensureDataDir();
+            fs.appendFileSync(this.filePath, `${line}\n`);
+        } catch (error) {
+            this.logger.error(`Failed to write audit log entry to ${this.filePath}:`, error);
+        }
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,98 @@
+/**
+ * Tracks the Telegram Stars balance of every account
+ * so purchases can be planned ahead instead of failing with BALANCE_TOO_LOW
+ */
+class BalanceTracker {
+    /**
+     * @param {import('./clientManager')} clientManager - Client manager instance
+     * @param {import('./logger').Logger} logger - Logger instance
+     */
+    constructor(clientManager, logger) {
+        this.clientManager = clientManager;
+        this.logger = logger;
+        this.balances = new Map(); // client -> { stars: number, updatedAt: Date }
+    }
+
+    /**
+     * Fetch the current stars balance of a client
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @returns {Promise<number|null>} Balance in stars or null if it could not be fetched
+     */
+    async refresh(client) {
+        const account = this.clientManager.clientsMap.get(client);
+
+        try {
+            const status = await client.getStarsTransactions('self', { limit: 1 });
+            const stars = Number(status.balance.amount);
+
+            const previous = this.balances.get(client);
+            this.balances.set(client, { stars, updatedAt: new Date() });
+
+            if (!previous || previous.stars !== stars) {
+                this.logger.info(`Stars balance of ${account.phoneNumber}: ${stars} ⭐️`);
+            }
+
+            return stars;
+        } catch (error) {
+            this.logger.error(`Failed to fetch stars balance of ${account.phoneNumber}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the stars balance of all clients
+     * @returns {Promise<void>}
+     */
+    async refreshAll() {
+        await Promise.allSettled(
+            this.clientManager.getAllClients().map(client => this.refresh(client))
+        );
+    }
+
+    /**
+     * Get the cached stars balance of a client
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @returns {number|null} Cached balance or null if unknown
+     */
+    getBalance(client) {
+        const balance = this.balances.get(client);
+        return balance ? balance.stars : null;
+    }
+
+    /**
+     * Lower the cached balance of a client by the stars a settled purchase spent,
+     * so purchases planned before the next refresh see what is left
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @param {number} stars - Stars spent
+     */
+    deduct(client, stars) {
+        const balance = this.balances.get(client);
+
+        if (balance) {
+            balance.stars = Math.max(0, balance.stars - stars);
+        }
+    }
+
+    /**
+     * Calculate how many units of a gift a client can afford
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @param {number} price - Price of one unit in stars
+     * @param {number} [reserved=0] - Stars already reserved for other purchases
+     * @returns {number|null} Number of affordable units or null if the balance is unknown
+     */
+    affordableUnits(client, price, reserved = 0) {
+        const balance = this.getBalance(client);
+
+        if (balance === null) {
+            return null;
+        }
+
+        if (!price) {
+            return Infinity;
+        }
+
+        return Math.max(0, Math.floor((balance - reserved) / price));
+    }
+}
+
+module.exports = BalanceTracker;
@@ -0,0 +1,225 @@
+const { getFloodWaitSeconds } = require('./floodWait');
+const { EVENTS } = require('./logger');
+
+/**
+ * Health-tracked pool of clients used for checking gift availability.
+ * Supports two strategies:
+ * - failover: always poll with the first healthy client in configuration order
+ * - rotate: poll with every healthy client in turn, staggering requests across accounts
+ *
+ * A client that fails maxFailures times in a row is taken out of the pool for cooldownMs,
+ * after which it is probed again and put back once a request succeeds.
+ * A client that hits FLOOD_WAIT_X is taken out for exactly the time Telegram requested.
+ */
+class CheckerPool {
+    /**
+     * Checker selection strategies
+     * @type {{FAILOVER: string, ROTATE: string}}
+     */
+    static STRATEGIES = {
+        FAILOVER: 'failover',
+        ROTATE: 'rotate'
+    };
+
+    /**
+     * @param {Array<{client: Object, phoneNumber: string}>} members - Clients in preference order
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {Object} [options] - Pool options
+     * @param {string} [options.strategy='failover'] - Selection strategy
+     * @param {number} [options.maxFailures=3] - Consecutive failures before a client is taken out
+     * @param {number} [options.cooldownMs=60000] - Time before a failed client is probed again
+     */
+    constructor(members, logger, options = {}) {
+        this.logger = logger;
+        this.strategy = options.strategy || CheckerPool.STRATEGIES.FAILOVER;
+        this.maxFailures = options.maxFailures || 3;
+        this.cooldownMs = options.cooldownMs || 60000;
+        this.entries = members.map(({ client, phoneNumber }) => ({
+            client,
+            phoneNumber,
+            failures: 0,
+            disabledUntil: 0,
+            floodWaitUntil: 0,
+            lastError: null
+        }));
+        this.current = null;
+        this.rotationIndex = 0;
+    }
+
+    /**
+     * Find the pool entry of a client
+     * @param {Object} client
+     * @returns {Object|undefined}
+     * @private
+     */
+    _getEntry(client) {
+        return this.entries.find(entry => entry.client === client);
+    }
+
+    /**
+     * Check whether an entry can be used for polling right now
+     * @param {Object} entry - Pool entry
+     * @param {number} now - Current timestamp
+     * @returns {boolean}
+     * @private
+     */
+    _isAvailable(entry, now) {
+        return entry.disabledUntil <= now && entry.floodWaitUntil <= now;
+    }
+
+    /**
+     * Select the entry to poll with according to the strategy
+     * @returns {Object} Pool entry
+     * @private
+     */
+    _select() {
+        const now = Date.now();
+        const available = this.entries.filter(entry => this._isAvailable(entry, now));
+
+        if (available.length === 0) {
+            // Never stop detection completely: fall back to the client that recovers first,
+            // preferring clients that are not waiting out a flood wait
+            const notFloodWaited = this.entries.filter(entry => entry.floodWaitUntil <= now);
+            const candidates = notFloodWaited.length > 0 ? notFloodWaited : this.entries;
+
+            return candidates.reduce((earliest, entry) =>
+                Math.max(entry.disabledUntil, entry.floodWaitUntil) < Math.max(earliest.disabledUntil, earliest.floodWaitUntil)
+                    ? entry
+                    : earliest
+            );
+        }
+
+        if (this.strategy === CheckerPool.STRATEGIES.ROTATE) {
+            const entry = available[this.rotationIndex % available.length];
+            this.rotationIndex = (this.rotationIndex + 1) % available.length;
+            return entry;
+        }
+
+        return available[0];
+    }
+
+    /**
+     * Get the client that should perform the next availability check
+     * @returns {Object} Telegram client
+     */
+    next() {
+        const entry = this._select();
+        const previous = this.current;
+        this.current = entry;
+
+        if (this.strategy !== CheckerPool.STRATEGIES.ROTATE && previous && previous !== entry) {
+            this.logger.warning(`Checker client switched from ${previous.phoneNumber} to ${entry.phoneNumber}`);
+        }
+
+        if (!this._isAvailable(entry, Date.now())) {
+            this.logger.warning(`All checker clients are unhealthy, polling with ${entry.phoneNumber} anyway`);
+        }
+
+        return entry.client;
+    }
+
+    /**
+     * Get the time to wait before any checker client may poll again
+     * @returns {number} Milliseconds until the first flood wait ends, 0 if some client may poll right now
+     */
+    getWaitMs() {
+        const now = Date.now();
+
+        if (this.entries.some(entry => entry.floodWaitUntil <= now)) {
+            return 0;
+        }
+
+        return Math.min(...this.entries.map(entry => entry.floodWaitUntil)) - now;
+    }
+
+    /**
+     * Get the client that performed the last availability check
+     * @returns {Object|null} Telegram client
+     */
+    getCurrent() {
+        if (!this.current) {
+            this.current = this._select();
+        }
+
+        return this.current.client;
+    }
+
+    /**
+     * Report a successful availability check
+     * @param {Object} client - Telegram client
+     */
+    reportSuccess(client) {
+        const entry = this._getEntry(client);
+        if (!entry) {
+            return;
+        }
+
+        if (entry.disabledUntil > 0) {
+            this.logger.warning(`Checker client ${entry.phoneNumber} recovered and is back in the pool`);
+        } else if (entry.floodWaitUntil > 0) {
+            this.logger.warning(`Checker client ${entry.phoneNumber} resumed polling after a flood wait`);
+        }
+
+        entry.failures = 0;
+        entry.disabledUntil = 0;
+        entry.floodWaitUntil = 0;
+        entry.lastError = null;
+    }
+
+    /**
+     * Report a failed availability check
+     * @param {Object} client - Telegram client
+     * @param {Error} error - Error thrown by the check
+     */
+    reportFailure(client, error) {
+        const entry = this._getEntry(client);
+        if (!entry) {
+            return;
+        }
+
+        entry.lastError = error ? error.message : null;
+
+        const floodWaitSeconds = getFloodWaitSeconds(error);
+        if (floodWaitSeconds !== null) {
+            entry.floodWaitUntil = Date.now() + floodWaitSeconds * 1000;
+            this.logger.warning(
+                `Checker client ${entry.phoneNumber} is rate limited: Telegram asked to wait ${floodWaitSeconds}s, other checkers take over`,
+                {
+                    seconds: floodWaitSeconds,
+                    until: new Date(entry.floodWaitUntil).toISOString()
+                }
+            );
+            return;
+        }
+
+        entry.failures++;
+
+        // A client that was already taken out fails its recovery probe: take it out again right away
+        if (entry.failures >= this.maxFailures || entry.disabledUntil > 0) {
+            entry.disabledUntil = Date.now() + this.cooldownMs;
+            this.logger.child({ event: EVENTS.ACCOUNT_DOWN, account: entry.phoneNumber }).warning(
+                `Checker client ${entry.phoneNumber} taken out of the pool for ${this.cooldownMs}ms after ${entry.failures} consecutive failure(s)`,
+                { error: entry.lastError }
+            );
+        }
+    }
+
+    /**
+     * Get the health status of all checker clients
+     * @returns {Array<{phoneNumber: string, healthy: boolean, failures: number, disabledUntil: Date|null, floodWaitUntil: Date|null, lastError: string|null}>}
+     */
+    getStatus() {
+        const now = Date.now();
+
+        return this.entries.map(entry => ({
+            phoneNumber: entry.phoneNumber,
+            healthy: this._isAvailable(entry, now) && entry.failures < this.maxFailures,
+            failures: entry.failures,
+            disabledUntil: entry.disabledUntil > now ? new Date(entry.disabledUntil) : null,
+            floodWaitUntil: entry.floodWaitUntil > now ? new Date(entry.floodWaitUntil) : null,
+            lastError: entry.lastError
+        }));
+    }
+}
+
+module.exports = CheckerPool;
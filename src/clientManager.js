@@ -1,6 +1,9 @@
 const {TelegramClient, HttpProxyTcpTransport} = require('@mtcute/node');
 const fs = require('fs');
 const path = require('path');
+const CheckerPool = require('./checkerPool');
+const { EVENTS } = require('./logger');
+const RecipientSelector = require('./recipientSelector');
 
 /**
  * Path to the directory where session files are stored
@@ -13,16 +16,24 @@ const SESSIONS_DIR = path.join(process.cwd(), 'sessions');
  */
 class ClientManager {
     /**
-     * @param {Array<{phoneNumber: string, targetPeerId: BigInt, apiId: number, apiHash: string, proxy?: string}>} accounts - Array of account configurations
+     * @param {Array<{phoneNumber: string, recipients: Array<Object>, distribution: string, apiId: number, apiHash: string, proxy?: string}>} accounts - Array of account configurations
      * @param {import('./logger').Logger} [logger] - Logger instance
+     * @param {Object} [checkerOptions] - Checker pool options
+     * @param {string} [checkerOptions.strategy] - Checker selection strategy: failover or rotate
+     * @param {number} [checkerOptions.maxFailures] - Consecutive failures before a checker is taken out of the pool
+     * @param {number} [checkerOptions.cooldownMs] - Time before a failed checker is probed again
+     * @param {Array<string>|null} [checkerOptions.accounts] - Phone numbers of accounts used as checkers, null for all
      */
-    constructor(accounts, logger = console) {
+    constructor(accounts, logger = console, checkerOptions = {}) {
         this.accounts = accounts;
         this.logger = logger;
+        this.checkerOptions = checkerOptions;
         this.clients = [];
         this.clientsMap = new Map();
         this.clientUserMap = new Map();
-        this.checkerClient = null;
+        this.checkerPool = null;
+        this.recipientSelectors = new Map(); // client -> RecipientSelector
+        this.dryRunRecipientSelectors = new Map(); // client -> RecipientSelector of simulated purchases
     }
 
     /**
@@ -153,7 +164,7 @@ class ClientManager {
             
             return { client, me };
         } catch (error) {
-            this.logger.error(
+            this.logger.child({ event: EVENTS.ACCOUNT_DOWN, account: account.phoneNumber }).error(
                 `Failed to initialize client for ${account.phoneNumber}: ${error.message}`
             );
             return null;
@@ -189,16 +200,57 @@ class ClientManager {
             throw new Error('No clients could be initialized');
         }
 
-        this.checkerClient = this.clients[0];
-        this.logger.warning(`Using ${this.accounts[0].phoneNumber} as the checker client`);
+        const checkerAccounts = this.checkerOptions.accounts;
+        const checkerMembers = this.clients
+            .map(client => ({ client, phoneNumber: this.clientsMap.get(client).phoneNumber }))
+            .filter(member => !checkerAccounts || checkerAccounts.includes(member.phoneNumber));
+
+        if (checkerMembers.length === 0) {
+            throw new Error('None of the configured checker accounts could be initialized');
+        }
+
+        this.checkerPool = new CheckerPool(checkerMembers, this.logger, this.checkerOptions);
+        this.logger.warning(
+            `Using ${checkerMembers.map(member => member.phoneNumber).join(', ')} as checker client(s) ` +
+            `(strategy: ${this.checkerPool.strategy})`
+        );
     }
 
     /**
-     * Get the client designated for checking gifts
+     * Get the client that performed the last gift check
      * @returns {TelegramClient}
      */
     getCheckerClient() {
-        return this.checkerClient;
+        return this.checkerPool ? this.checkerPool.getCurrent() : null;
+    }
+
+    /**
+     * Select the client that should perform the next gift check
+     * @returns {TelegramClient}
+     */
+    nextCheckerClient() {
+        return this.checkerPool.next();
+    }
+
+    /**
+     * Get the time to wait before any checker client may poll again
+     * @returns {number} Milliseconds to wait, 0 if polling may continue
+     */
+    getCheckerWaitMs() {
+        return this.checkerPool ? this.checkerPool.getWaitMs() : 0;
+    }
+
+    /**
+     * Report the result of a gift check to the checker pool
+     * @param {TelegramClient} client - Client that performed the check
+     * @param {Error|null} [error] - Error thrown by the check, if it failed
+     */
+    reportCheckResult(client, error = null) {
+        if (error) {
+            this.checkerPool.reportFailure(client, error);
+        } else {
+            this.checkerPool.reportSuccess(client);
+        }
     }
 
     /**
@@ -210,26 +262,89 @@ class ClientManager {
     }
 
     /**
-     * Get the target peer ID for a specific client
+     * Get the recipient of the next purchased unit for a specific client. The recipient is reserved
+     * for the unit until it is passed to recordDelivery() or releaseTargetPeerId()
      * @param {TelegramClient} client
      * @param {boolean} isManual
-     * @returns {BigInt} The target peer ID for the client
+     * @param {string|null} [giftId] - Gift being purchased, used by the fill distribution strategy
+     * @param {boolean} [dryRun=false] - Whether the unit is simulated, simulated units do not move the real distribution
+     * @returns {BigInt|string} The peer ID or @username that should receive the next unit
      */
-    getTargetPeerId(client, isManual = false) {
+    getTargetPeerId(client, isManual = false, giftId = null, dryRun = false) {
         const account = this.clientsMap.get(client);
         if (!account) {
             throw new Error('Client not found in client manager');
         }
 
-        let targetPeerId;
         if (isManual && account.manualPeerId) {
-            targetPeerId = account.manualPeerId;
+            return account.manualPeerId;
         }
-        else {
-            targetPeerId = account.targetPeerId;
+
+        return this._getRecipientSelector(client, account, dryRun).next(giftId);
+    }
+
+    /**
+     * Record that a purchased unit was delivered to a recipient
+     * @param {TelegramClient} client
+     * @param {string} giftId - Gift ID
+     * @param {BigInt|string} peerId - Recipient that received the unit
+     * @param {boolean} [isManual=false] - Whether the unit was purchased manually
+     * @param {boolean} [dryRun=false] - Whether the unit was simulated
+     */
+    recordDelivery(client, giftId, peerId, isManual = false, dryRun = false) {
+        const account = this.clientsMap.get(client);
+        if (!account) {
+            return;
+        }
+
+        // Units for the manual peer were never reserved by the recipient selector
+        const reserved = !(isManual && account.manualPeerId);
+        this._getRecipientSelector(client, account, dryRun).recordDelivery(giftId, peerId, reserved);
+    }
+
+    /**
+     * Free the recipient slot taken by getTargetPeerId() for a unit that was not delivered
+     * @param {TelegramClient} client
+     * @param {string} giftId - Gift ID
+     * @param {BigInt|string} peerId - Recipient the unit was meant for
+     * @param {boolean} [isManual=false] - Whether the unit was purchased manually
+     * @param {boolean} [dryRun=false] - Whether the unit was simulated
+     */
+    releaseTargetPeerId(client, giftId, peerId, isManual = false, dryRun = false) {
+        const account = this.clientsMap.get(client);
+        if (!account || (isManual && account.manualPeerId)) {
+            return;
+        }
+
+        this._getRecipientSelector(client, account, dryRun).release(giftId, peerId);
+    }
+
+    /**
+     * Forget the distribution state of all clients after their recipients were reconfigured
+     */
+    resetRecipientSelectors() {
+        this.recipientSelectors.clear();
+        this.dryRunRecipientSelectors.clear();
+    }
+
+    /**
+     * Get the recipient selector of a client, creating it on first use
+     * @param {TelegramClient} client
+     * @param {Object} account - Account configuration
+     * @param {boolean} [dryRun=false] - Whether to get the separate selector of simulated purchases
+     * @returns {RecipientSelector}
+     * @private
+     */
+    _getRecipientSelector(client, account, dryRun = false) {
+        const selectors = dryRun ? this.dryRunRecipientSelectors : this.recipientSelectors;
+        let selector = selectors.get(client);
+
+        if (!selector) {
+            selector = new RecipientSelector(account.recipients, account.distribution);
+            selectors.set(client, selector);
         }
 
-        return targetPeerId;
+        return selector;
     }
 
     /**
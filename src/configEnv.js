@@ -0,0 +1,172 @@
+const { CONFIG_SCHEMA } = require('./configSchema');
+const ConfigValidationError = require('./configValidationError');
+
+/**
+ * Environment overrides of config.json settings.
+ *
+ * Every setting can be overridden with a variable named GIFTS_CONFIG_ followed by its JSON path
+ * in upper snake case, with path segments separated by a double underscore:
+ * - GIFTS_CONFIG_MAX_GIFT_SUPPLY=5000
+ * - GIFTS_CONFIG_CONTROLLER__BOT_TOKEN=123:abc
+ * - GIFTS_CONFIG_TELEGRAM_ACCOUNTS__0__API_HASH=0123456789abcdef
+ * Object and array settings (e.g. GIFTS_CONFIG_PURCHASE_RULES) take a JSON value.
+ * The prefix is namespaced so that unrelated variables such as CONFIG_DIR are left alone,
+ * while a typo in a prefixed name still fails validation.
+ */
+
+/**
+ * Prefix of configuration environment variables
+ * @type {string}
+ */
+const ENV_PREFIX = 'GIFTS_CONFIG_';
+
+/**
+ * Separator of path segments in environment variable names
+ * @type {string}
+ */
+const ENV_PATH_SEPARATOR = '__';
+
+/**
+ * Convert a camelCase setting name to an upper snake case segment
+ * @param {string} key - Setting name, e.g. "maxGiftSupply"
+ * @returns {string} Segment, e.g. "MAX_GIFT_SUPPLY"
+ */
+function toEnvSegment(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Resolve an environment variable name to a setting path using the schema
+ * @param {string} name - Environment variable name
+ * @returns {{keys: Array<string|number>, node: Object, path: string}} Setting path and its schema node
+ * @throws {ConfigValidationError} If the variable does not name a known setting
+ */
+function resolveEnvName(name) {
+    const segments = name.slice(ENV_PREFIX.length).split(ENV_PATH_SEPARATOR);
+    const keys = [];
+    let node = CONFIG_SCHEMA;
+    let path = '';
+
+    for (const segment of segments) {
+        if (node.type === 'object') {
+            const key = Object.keys(node.properties).find(property => toEnvSegment(property) === segment);
+
+            if (!key) {
+                throw new ConfigValidationError(path, `unknown setting "${segment}" in environment variable ${name}`);
+            }
+
+            keys.push(key);
+            node = node.properties[key];
+            path = path ? `${path}.${key}` : key;
+        } else if (node.type === 'array' && /^\d+$/.test(segment)) {
+            const index = Number(segment);
+
+            keys.push(index);
+            node = node.items;
+            path = `${path}[${index}]`;
+        } else {
+            throw new ConfigValidationError(path, `cannot be addressed with "${segment}" in environment variable ${name}`);
+        }
+    }
+
+    return { keys, node, path };
+}
+
+/**
+ * Parse the value of an environment variable according to the schema node of the setting
+ * @param {string} rawValue - Environment variable value
+ * @param {Object} node - Schema node of the setting
+ * @param {string} path - JSON path of the setting
+ * @param {string} name - Environment variable name
+ * @returns {*} Parsed value
+ * @throws {ConfigValidationError} If the value cannot be parsed
+ */
+function parseEnvValue(rawValue, node, path, name) {
+    if (rawValue === 'null' && node.nullable) {
+        return null;
+    }
+
+    switch (node.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(rawValue);
+
+            if (rawValue.trim() === '' || Number.isNaN(value)) {
+                throw new ConfigValidationError(path, `environment variable ${name} must be a number, got "${rawValue}"`);
+            }
+
+            return value;
+        }
+        case 'boolean':
+            if (rawValue !== 'true' && rawValue !== 'false') {
+                throw new ConfigValidationError(path, `environment variable ${name} must be "true" or "false", got "${rawValue}"`);
+            }
+
+            return rawValue === 'true';
+        case 'string':
+        case 'id':
+            return rawValue;
+        case 'oneOf':
+            // Either a JSON value (true, {...}) or a plain string such as a peer ID or an @username;
+            // numbers stay strings so that large peer IDs keep their precision
+            try {
+                const value = JSON.parse(rawValue);
+                return typeof value === 'number' ? rawValue : value;
+            } catch (error) {
+                return rawValue;
+            }
+        default:
+            try {
+                return JSON.parse(rawValue);
+            } catch (error) {
+                throw new ConfigValidationError(path, `environment variable ${name} must be a JSON value: ${error.message}`);
+            }
+    }
+}
+
+/**
+ * Set a value at a path, creating missing objects and arrays along the way
+ * @param {Object} target - Object to modify
+ * @param {Array<string|number>} keys - Setting path
+ * @param {*} value - Value to set
+ */
+function setAtPath(target, keys, value) {
+    let current = target;
+
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (current[keys[i]] == null || typeof current[keys[i]] !== 'object') {
+            current[keys[i]] = typeof keys[i + 1] === 'number' ? [] : {};
+        }
+
+        current = current[keys[i]];
+    }
+
+    current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Apply environment overrides to raw configuration data
+ * @param {Object} configData - Raw configuration data, left unmodified
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Configuration data with the overrides applied
+ * @throws {ConfigValidationError} If a variable names an unknown setting or has an unparsable value
+ */
+function applyEnvOverrides(configData, env = process.env) {
+    const result = structuredClone(configData);
+    const names = Object.keys(env)
+        .filter(name => name.startsWith(ENV_PREFIX))
+        .sort();
+
+    // Sorted names apply whole objects (GIFTS_CONFIG_CONTROLLER) before their fields (GIFTS_CONFIG_CONTROLLER__BOT_TOKEN)
+    for (const name of names) {
+        const { keys, node, path } = resolveEnvName(name);
+        setAtPath(result, keys, parseEnvValue(env[name], node, path, name));
+    }
+
+    return result;
+}
+
+module.exports = {
+    ENV_PREFIX,
+    applyEnvOverrides
+};
@@ -0,0 +1,469 @@
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('./configSchema');
+const { applyEnvOverrides } = require('./configEnv');
+const ConfigValidationError = require('./configValidationError');
+
+/**
+ * Path to the configuration file
+ * @type {string}
+ */
+const CONFIG_PATH = path.join(process.cwd(), 'config.json');
+
+/**
+ * Read configuration from JSON file
+ * @param {string} [configPath] - Path to the configuration file
+ * @returns {Object} Raw configuration data
+ */
+function readConfigFile(configPath = CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+        throw new Error('Configuration file not found. Please create config.json in the project root directory.');
+    }
+    
+    try {
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    } catch (error) {
+        throw new Error(`Failed to load configuration: ${error.message}`);
+    }
+}
+
+/**
+ * Process per-account spending caps
+ * @param {Object} account - Raw account configuration
+ * @returns {{maxStarsPerDay: number|null, maxStarsPerGift: number|null, maxUnitsPerGift: number|null}}
+ */
+function processAccountLimits(account) {
+    const limits = account.limits || {};
+
+    return {
+        maxStarsPerDay: limits.maxStarsPerDay ?? null,
+        maxStarsPerGift: limits.maxStarsPerGift ?? null,
+        maxUnitsPerGift: limits.maxUnitsPerGift ?? null
+    };
+}
+
+/**
+ * Process gift delivery settings of an account or a purchase rule
+ * Only the settings that are set are kept, so rule settings can override account settings one by one
+ * @param {Object|undefined} delivery - Raw delivery settings
+ * @returns {{anonymous?: boolean, message?: string|null, withUpgrade?: boolean}|null}
+ */
+function processDelivery(delivery) {
+    if (!delivery) {
+        return null;
+    }
+
+    const result = {};
+
+    for (const field of ['anonymous', 'message', 'withUpgrade']) {
+        if (delivery[field] !== undefined) {
+            result[field] = delivery[field];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Process the auto-upgrade settings of a purchase rule
+ * @param {boolean|Object|undefined} autoUpgrade - Raw auto-upgrade settings
+ * @returns {{maxStars: number|null, keepOriginalDetails: boolean}|null} Settings, null if auto-upgrade is disabled
+ */
+function processAutoUpgrade(autoUpgrade) {
+    if (!autoUpgrade) {
+        return null;
+    }
+
+    return {
+        maxStars: autoUpgrade.maxStars ?? null,
+        keepOriginalDetails: autoUpgrade.keepOriginalDetails === true
+    };
+}
+
+/**
+ * Parse a recipient peer given as a numeric ID or an @username
+ * @param {string|number} peer - Peer from the configuration
+ * @returns {BigInt|string} Peer ID or @username
+ */
+function parsePeer(peer) {
+    return typeof peer === 'string' && peer.startsWith('@') ? peer : BigInt(peer);
+}
+
+/**
+ * Process the recipients of an account
+ * Accounts configured with a single targetPeerId get it as their only recipient
+ * @param {Object} account - Raw account configuration
+ * @returns {Array<{peer: BigInt|string, weight: number, limit: number|null}>}
+ */
+function processRecipients(account) {
+    const recipients = account.recipients || [account.targetPeerId];
+
+    return recipients.map(recipient => {
+        const entry = typeof recipient === 'object' ? recipient : { peer: recipient };
+
+        return {
+            peer: parsePeer(entry.peer),
+            weight: entry.weight ?? 1,
+            limit: entry.limit ?? null
+        };
+    });
+}
+
+/**
+ * Process Telegram accounts from config
+ * @param {Object} configData - Raw configuration data
+ * @returns {Array<{phoneNumber: string, recipients: Array<Object>, distribution: string, apiId: number, apiHash: string}>}
+ */
+function processTelegramAccounts(configData) {
+    const phoneNumbers = new Set();
+
+    return configData.telegramAccounts.map((account, index) => {
+        if (phoneNumbers.has(account.phoneNumber)) {
+            throw new ConfigValidationError(`telegramAccounts[${index}].phoneNumber`, `duplicate account ${account.phoneNumber}`);
+        }
+        phoneNumbers.add(account.phoneNumber);
+
+        const recipients = processRecipients(account);
+        const distribution = account.distribution || 'round-robin';
+
+        if (distribution === 'weighted' && recipients.every(recipient => recipient.weight === 0)) {
+            throw new ConfigValidationError(`telegramAccounts[${index}].recipients`, 'at least one recipient must have a positive weight');
+        }
+
+        return {
+            phoneNumber: account.phoneNumber,
+            recipients,
+            distribution,
+            manualPeerId: account.manualPeerId ? parsePeer(account.manualPeerId) : null,
+            apiId: account.apiId,
+            apiHash: account.apiHash,
+            proxy: account.proxy,
+            limits: processAccountLimits(account),
+            delivery: processDelivery(account.delivery),
+            purchaseConcurrency: account.purchaseConcurrency || null
+        };
+    });
+}
+
+/**
+ * Check that every phone number refers to a configured account
+ * @param {Array<string>|undefined} phoneNumbers - Phone numbers from the configuration
+ * @param {Array<{phoneNumber: string}>} accounts - Processed accounts
+ * @param {string} path - JSON path of the phone number list
+ * @throws {ConfigValidationError} If an unknown account is referenced
+ */
+function validateAccountReferences(phoneNumbers, accounts, path) {
+    if (!phoneNumbers) {
+        return;
+    }
+
+    phoneNumbers.forEach((phoneNumber, index) => {
+        if (!accounts.some(account => account.phoneNumber === phoneNumber)) {
+            throw new ConfigValidationError(`${path}[${index}]`, `unknown account ${phoneNumber}`);
+        }
+    });
+}
+
+/**
+ * Process purchase rules from config
+ * Falls back to a single rule built from maxGiftSupply and maxGiftsToBuy when no rules are configured
+ * @param {Object} configData - Raw configuration data
+ * @param {Array<{phoneNumber: string}>} accounts - Processed accounts
+ * @param {number} maxGiftSupply - Supply threshold for the default rule
+ * @param {number} maxGiftsToBuy - Quantity for the default rule
+ * @returns {Array<{name: string, priority: number, quantity: number, accounts: Array<string>|null, delivery: Object|null, autoUpgrade: Object|null, on: Array<string>|null, match: Object}>}
+ */
+function processPurchaseRules(configData, accounts, maxGiftSupply, maxGiftsToBuy) {
+    const rules = configData.purchaseRules;
+
+    if (!rules || rules.length === 0) {
+        return [{
+            name: 'default',
+            priority: 0,
+            quantity: maxGiftsToBuy,
+            accounts: null,
+            delivery: null,
+            autoUpgrade: null,
+            on: null,
+            match: {
+                availabilityTotal: { max: maxGiftSupply }
+            }
+        }];
+    }
+
+    return rules.map((rule, index) => {
+        validateAccountReferences(rule.accounts, accounts, `purchaseRules[${index}].accounts`);
+
+        return {
+            name: rule.name || `rule #${index + 1}`,
+            priority: rule.priority || 0,
+            quantity: rule.quantity || maxGiftsToBuy,
+            accounts: rule.accounts && rule.accounts.length > 0 ? rule.accounts : null,
+            delivery: processDelivery(rule.delivery),
+            autoUpgrade: processAutoUpgrade(rule.autoUpgrade),
+            on: rule.on && rule.on.length > 0 ? rule.on : null,
+            match: rule.match || {}
+        };
+    });
+}
+
+/**
+ * Process supply tracking settings from config
+ * @param {Object} configData - Raw configuration data
+ * @returns {{alertThresholds: Array<number>, velocityWindowMs: number}}
+ */
+function processSupplyTracking(configData) {
+    const supplyTracking = configData.supplyTracking || {};
+    const alertThresholds = supplyTracking.alertThresholds || [50, 10, 0];
+
+    return {
+        alertThresholds: [...new Set(alertThresholds)].sort((a, b) => b - a),
+        velocityWindowMs: supplyTracking.velocityWindowMs || 600000
+    };
+}
+
+/**
+ * Process notification routes from config
+ * @param {Object} configData - Raw configuration data
+ * @param {Array<{phoneNumber: string}>} accounts - Processed accounts
+ * @returns {Array<{match: Object, chatId: string, threadId: number|null}>} Routes in configuration order,
+ * match conditions that are not set are null
+ * @throws {ConfigValidationError} If a route refers to an unknown account
+ */
+function processNotificationRoutes(configData, accounts) {
+    const routes = configData.notifications?.routes || [];
+    const list = values => values && values.length > 0 ? values : null;
+
+    return routes.map((route, index) => {
+        const match = route.match || {};
+        validateAccountReferences(match.accounts, accounts, `notifications.routes[${index}].match.accounts`);
+
+        return {
+            match: {
+                levels: list(match.levels),
+                components: list(match.components),
+                accounts: list(match.accounts),
+                events: list(match.events),
+                giftIds: list(match.giftIds)
+            },
+            chatId: String(route.chatId),
+            threadId: route.threadId || null
+        };
+    });
+}
+
+/**
+ * Names used by the built-in log sinks, notification sinks cannot take them
+ * @type {Array<string>}
+ */
+const RESERVED_SINK_NAMES = ['console', 'file', 'notifications', 'telegram'];
+
+/**
+ * Process notification sinks from config
+ * @param {Object} configData - Raw configuration data
+ * @returns {Array<Object>} Sink settings with type, name, level, components and the settings of the sink type
+ * @throws {ConfigValidationError} If two sinks have the same name or a sink uses a reserved name
+ */
+function processNotificationSinks(configData) {
+    const sinks = configData.notifications?.sinks || [];
+    const names = new Set();
+
+    return sinks.map((sink, index) => {
+        const name = sink.name || sink.type;
+
+        if (RESERVED_SINK_NAMES.includes(name)) {
+            throw new ConfigValidationError(`notifications.sinks[${index}].name`, `"${name}" is reserved, choose another name`);
+        }
+
+        if (names.has(name)) {
+            throw new ConfigValidationError(`notifications.sinks[${index}].name`, `another sink is already named "${name}", set a distinct name`);
+        }
+        names.add(name);
+
+        const common = {
+            type: sink.type,
+            name,
+            level: sink.level || 'WARNING',
+            components: sink.components || {}
+        };
+
+        switch (sink.type) {
+            case 'webhook':
+                return { ...common, url: sink.url, secret: sink.secret || null };
+            case 'discord':
+                return { ...common, url: sink.url, username: sink.username || null };
+            default: {
+                const port = sink.port || (sink.secure ? 465 : 587);
+
+                return {
+                    ...common,
+                    host: sink.host,
+                    port,
+                    secure: sink.secure ?? port === 465,
+                    username: sink.username || null,
+                    password: sink.password || null,
+                    from: sink.from,
+                    to: sink.to
+                };
+            }
+        }
+    });
+}
+
+/**
+ * Process logging settings from config
+ * @param {Object} configData - Raw configuration data
+ * @param {Array<{name: string, level: string, components: Object}>} notificationSinks - Processed notification sinks
+ * @returns {{levels: Object, file: {enabled: boolean, directory: string, maxFileSizeMb: number, maxFiles: number, maxAgeDays: number|null}}}
+ */
+function processLogging(configData, notificationSinks) {
+    const logging = configData.logging || {};
+    const file = logging.file;
+    const sinkLevels = sink => ({
+        level: sink?.level || null,
+        components: sink?.components || {}
+    });
+
+    return {
+        levels: {
+            level: logging.level || 'INFO',
+            components: logging.components || {},
+            sinks: {
+                console: sinkLevels(logging.console),
+                file: sinkLevels(file),
+                notifications: sinkLevels(logging.notifications),
+                ...Object.fromEntries(notificationSinks.map(sink => [sink.name, sinkLevels(sink)]))
+            }
+        },
+        file: {
+            enabled: !!file,
+            directory: path.resolve(process.cwd(), file?.directory || path.join('data', 'logs')),
+            maxFileSizeMb: file?.maxFileSizeMb || 50,
+            maxFiles: file?.maxFiles || 30,
+            maxAgeDays: file && file.maxAgeDays !== undefined ? file.maxAgeDays : 14
+        }
+    };
+}
+
+/**
+ * Process checker pool settings from config
+ * @param {Object} configData - Raw configuration data
+ * @param {Array<{phoneNumber: string}>} accounts - Processed accounts
+ * @returns {{strategy: string, maxFailures: number, cooldownMs: number, accounts: Array<string>|null}}
+ */
+function processChecker(configData, accounts) {
+    const checker = configData.checker || {};
+
+    validateAccountReferences(checker.accounts, accounts, 'checker.accounts');
+
+    return {
+        strategy: checker.strategy || 'failover',
+        maxFailures: checker.maxFailures || 3,
+        cooldownMs: checker.cooldownMs || 60000,
+        accounts: checker.accounts && checker.accounts.length > 0 ? checker.accounts : null
+    };
+}
+
+/**
+ * Process controller users allowed to use purchase buttons and commands
+ * @param {Object} configData - Raw configuration data
+ * @returns {Array<{id: number, role: string}>}
+ */
+function processControllerUsers(configData) {
+    const users = configData.controller?.users || [];
+
+    return users.map(user => ({ id: Number(user.id), role: user.role }));
+}
+
+/**
+ * Build and validate the application configuration from raw configuration data
+ * @param {Object} configData - Raw configuration data
+ * @returns {Object} Configuration object
+ * @throws {ConfigValidationError} If the configuration does not match the schema
+ */
+function buildConfig(configData) {
+    validateConfig(configData);
+
+    const testGiftId = configData.testGiftId;
+
+    const telegramBotToken = configData.notifications?.botToken;
+    const telegramChannelIds = configData.notifications?.channelIds || {};
+
+    const telegramControllerBotToken = configData.controller?.botToken;
+    const telegramControllerChannelId = configData.controller?.channelId;
+    const telegramControllerPublicChannelId = configData.controller?.publicChannelId;
+
+    const maxGiftSupply = configData.maxGiftSupply || 2000;
+    const maxGiftsToBuy = configData.maxGiftsToBuy || 30;
+    const accounts = processTelegramAccounts(configData);
+    const notificationSinks = processNotificationSinks(configData);
+    const notificationRoutes = processNotificationRoutes(configData, accounts);
+
+    const config = {
+        maxGiftSupply,
+        checkIntervalMs: configData.checkIntervalMs || 500,
+        maxGiftsToBuy,
+        autoBuyEnabled: configData.autoBuyEnabled !== undefined ? configData.autoBuyEnabled : true,
+        dryRun: configData.dryRun === true,
+        floodWait: {
+            maxPurchaseWaitSeconds: configData.floodWait?.maxPurchaseWaitSeconds ?? 60
+        },
+        balanceRefreshIntervalMs: configData.balanceRefreshIntervalMs || 300000,
+        purchaseConcurrency: configData.purchaseConcurrency || 1,
+        supplyTracking: processSupplyTracking(configData),
+        accounts,
+        checker: processChecker(configData, accounts),
+        metrics: {
+            enabled: !!configData.metrics,
+            host: configData.metrics?.host || '127.0.0.1',
+            port: configData.metrics?.port || 9464
+        },
+        logging: processLogging(configData, notificationSinks),
+        adminApi: {
+            enabled: !!configData.adminApi,
+            host: configData.adminApi?.host || '127.0.0.1',
+            port: configData.adminApi?.port || 8787,
+            token: configData.adminApi?.token || null
+        },
+        purchaseRules: processPurchaseRules(configData, accounts, maxGiftSupply, maxGiftsToBuy),
+        testGiftId: testGiftId || null,
+        notifications: {
+            enabled: !!telegramBotToken && (
+                !!telegramChannelIds.WARNING || !!telegramChannelIds.SUCCESS || !!telegramChannelIds.ERROR || notificationRoutes.length > 0
+            ),
+            botToken: telegramBotToken,
+            channelIds: telegramChannelIds,
+            routes: notificationRoutes,
+            sinks: notificationSinks
+        },
+        controller: {
+            enabled: !!telegramControllerBotToken && !!telegramControllerChannelId,
+            botToken: telegramControllerBotToken,
+            channelId: telegramControllerChannelId,
+            publicChannelId: telegramControllerPublicChannelId,
+            users: processControllerUsers(configData),
+            allowEveryone: configData.controller?.allowEveryone === true,
+            confirmThreshold: configData.controller?.confirmThreshold || 50
+        }
+    };
+
+    return config;
+}
+
+/**
+ * Load configuration from the JSON file with environment overrides applied
+ * @param {string} [configPath] - Path to the configuration file
+ * @returns {Object} Configuration object
+ * @throws {ConfigValidationError} If the configuration does not match the schema
+ */
+function loadConfig(configPath = CONFIG_PATH) {
+    return buildConfig(applyEnvOverrides(readConfigFile(configPath)));
+}
+
+module.exports = {
+    CONFIG_PATH,
+    readConfigFile,
+    buildConfig,
+    loadConfig
+};
@@ -0,0 +1,658 @@
+const ConfigValidationError = require('./configValidationError');
+const { PLACEHOLDERS, findUnknownPlaceholders } = require('./giftMessage');
+const { GIFT_CHANGE_TYPES } = require('./giftChanges');
+const { LEVELS, COMPONENTS, EVENTS } = require('./logger');
+
+/**
+ * Schema of config.json and helpers for validating configuration data against it.
+ *
+ * Schema nodes are plain objects with a `type`:
+ * - object: `properties`, optional `required` and `dependentRequired` ({key: [keys required along with it]})
+ * - array: `items`, optional `minItems`
+ * - string: optional `pattern` with `patternHint`, `enum`
+ * - integer, number: optional `min` and `max`
+ * - boolean
+ * - id: numeric Telegram ID given as a string or an integer
+ * - oneOf: `variants`, the value must match one of them; `hint` describes the accepted forms
+ * Any node may be `nullable` and may have a `check` function returning a problem description or null.
+ * Unknown object keys are rejected so that typos do not silently fall back to defaults.
+ */
+
+/**
+ * A {min, max} range condition of a purchase rule
+ * @type {Object}
+ */
+const RANGE = {
+    type: 'object',
+    properties: {
+        min: { type: 'number' },
+        max: { type: 'number' }
+    }
+};
+
+/**
+ * A list of account phone numbers
+ * @type {Object}
+ */
+const PHONE_NUMBERS = {
+    type: 'array',
+    items: { type: 'string' }
+};
+
+/**
+ * A recipient peer: numeric ID or @username
+ * @type {Object}
+ */
+const PEER = {
+    type: 'oneOf',
+    variants: [
+        { type: 'id' },
+        { type: 'string', pattern: /^@[A-Za-z0-9_]{4,32}$/ }
+    ],
+    hint: 'must be a numeric peer ID or an @username'
+};
+
+/**
+ * Minimum log level
+ * @type {Object}
+ */
+const LOG_LEVEL = { type: 'string', enum: Object.values(LEVELS) };
+
+/**
+ * Minimum log levels by component
+ * @type {Object}
+ */
+const COMPONENT_LOG_LEVELS = {
+    type: 'object',
+    properties: Object.fromEntries(Object.values(COMPONENTS).map(component => [component, LOG_LEVEL]))
+};
+
+/**
+ * Minimum log levels of a log sink
+ * @type {Object}
+ */
+const SINK_LOG_LEVELS = {
+    type: 'object',
+    properties: {
+        level: LOG_LEVEL,
+        components: COMPONENT_LOG_LEVELS
+    }
+};
+
+/**
+ * A rule of notifications.routes: entries matching every condition go to the chat,
+ * optionally into a forum topic
+ * @type {Object}
+ */
+const NOTIFICATION_ROUTE = {
+    type: 'object',
+    required: ['chatId'],
+    properties: {
+        match: {
+            type: 'object',
+            properties: {
+                levels: {
+                    type: 'array',
+                    items: { type: 'string', enum: [LEVELS.WARNING, LEVELS.SUCCESS, LEVELS.ERROR] }
+                },
+                components: {
+                    type: 'array',
+                    items: { type: 'string', enum: Object.values(COMPONENTS) }
+                },
+                accounts: PHONE_NUMBERS,
+                events: {
+                    type: 'array',
+                    items: { type: 'string', enum: Object.values(EVENTS) }
+                },
+                giftIds: {
+                    type: 'array',
+                    items: {
+                        type: 'string',
+                        pattern: /^\d+$/,
+                        patternHint: 'must be a gift ID given as a string of digits'
+                    }
+                }
+            }
+        },
+        chatId: { type: 'id' },
+        threadId: { type: 'integer', min: 1 }
+    }
+};
+
+/**
+ * Settings each notification sink type requires
+ * @type {Object<string, Array<string>>}
+ */
+const NOTIFICATION_SINK_REQUIRED = {
+    webhook: ['url'],
+    discord: ['url'],
+    smtp: ['host', 'from', 'to']
+};
+
+/**
+ * Settings each notification sink type accepts besides type, name, level and components
+ * @type {Object<string, Array<string>>}
+ */
+const NOTIFICATION_SINK_SETTINGS = {
+    webhook: ['url', 'secret'],
+    discord: ['url', 'username'],
+    smtp: ['host', 'port', 'secure', 'username', 'password', 'from', 'to']
+};
+
+/**
+ * A notification sink of notifications.sinks
+ * @type {Object}
+ */
+const NOTIFICATION_SINK = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', enum: Object.keys(NOTIFICATION_SINK_SETTINGS) },
+        name: {
+            type: 'string',
+            pattern: /^[A-Za-z0-9_-]+$/,
+            patternHint: 'must contain only letters, digits, "_" and "-"'
+        },
+        ...SINK_LOG_LEVELS.properties,
+        url: {
+            type: 'string',
+            pattern: /^https?:\/\//,
+            patternHint: 'must be an http:// or https:// URL'
+        },
+        secret: { type: 'string' },
+        username: { type: 'string' },
+        host: { type: 'string' },
+        port: { type: 'integer', min: 1, max: 65535 },
+        secure: { type: 'boolean' },
+        password: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'array', minItems: 1, items: { type: 'string' } }
+    },
+    check: sink => {
+        const missing = NOTIFICATION_SINK_REQUIRED[sink.type].filter(key => sink[key] === undefined);
+        if (missing.length > 0) {
+            return `${sink.type} sinks require ${missing.join(', ')}`;
+        }
+
+        const common = ['type', 'name', ...Object.keys(SINK_LOG_LEVELS.properties)];
+        const unsupported = Object.keys(sink).filter(key => !common.includes(key) && !NOTIFICATION_SINK_SETTINGS[sink.type].includes(key));
+        return unsupported.length > 0 ? `${sink.type} sinks do not support ${unsupported.join(', ')}` : null;
+    }
+};
+
+/**
+ * Check the placeholders of a gift message template
+ * @param {string} template - Message template
+ * @returns {string|null} Problem description or null if the template is valid
+ */
+function checkMessageTemplate(template) {
+    const unknown = findUnknownPlaceholders(template);
+
+    if (unknown.length > 0) {
+        return `has unknown placeholder(s) ${unknown.map(name => `{${name}}`).join(', ')}, ` +
+            `expected ${PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * How a purchased gift is sent: anonymity, attached message and prepaid upgrade
+ * @type {Object}
+ */
+const DELIVERY = {
+    type: 'object',
+    properties: {
+        anonymous: { type: 'boolean' },
+        message: { type: 'string', nullable: true, check: checkMessageTemplate },
+        withUpgrade: { type: 'boolean' }
+    }
+};
+
+/**
+ * Check a proxy string in format "host:port" or "host:port:user:password"
+ * @param {string} proxy - Proxy string
+ * @returns {string|null} Problem description or null if the proxy is valid
+ */
+function checkProxy(proxy) {
+    const parts = proxy.split(':');
+
+    if (parts.length !== 2 && parts.length !== 4) {
+        return 'must be in format "host:port" or "host:port:user:password"';
+    }
+
+    if (parts.some(part => part.length === 0)) {
+        return 'must not contain empty host, port, user or password';
+    }
+
+    const port = Number(parts[1]);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return `has invalid port "${parts[1]}", expected a number between 1 and 65535`;
+    }
+
+    return null;
+}
+
+/**
+ * Schema of config.json
+ * @type {Object}
+ */
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['telegramAccounts'],
+    properties: {
+        maxGiftSupply: { type: 'integer', min: 1 },
+        checkIntervalMs: { type: 'integer', min: 1 },
+        maxGiftsToBuy: { type: 'integer', min: 1 },
+        autoBuyEnabled: { type: 'boolean' },
+        dryRun: { type: 'boolean' },
+        floodWait: {
+            type: 'object',
+            properties: {
+                maxPurchaseWaitSeconds: { type: 'integer', min: 0 }
+            }
+        },
+        balanceRefreshIntervalMs: { type: 'integer', min: 1 },
+        purchaseConcurrency: { type: 'integer', min: 1 },
+        supplyTracking: {
+            type: 'object',
+            properties: {
+                alertThresholds: {
+                    type: 'array',
+                    items: { type: 'number', min: 0, max: 100 }
+                },
+                velocityWindowMs: { type: 'integer', min: 1000 }
+            }
+        },
+        metrics: {
+            type: 'object',
+            properties: {
+                host: { type: 'string' },
+                port: { type: 'integer', min: 1, max: 65535 }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: LOG_LEVEL,
+                components: COMPONENT_LOG_LEVELS,
+                console: SINK_LOG_LEVELS,
+                notifications: SINK_LOG_LEVELS,
+                file: {
+                    type: 'object',
+                    properties: {
+                        ...SINK_LOG_LEVELS.properties,
+                        directory: { type: 'string' },
+                        maxFileSizeMb: { type: 'number', min: 1 },
+                        maxFiles: { type: 'integer', min: 1 },
+                        maxAgeDays: { type: 'integer', min: 1, nullable: true }
+                    }
+                }
+            }
+        },
+        adminApi: {
+            type: 'object',
+            required: ['token'],
+            properties: {
+                host: { type: 'string' },
+                port: { type: 'integer', min: 1, max: 65535 },
+                token: {
+                    type: 'string',
+                    check: value => value.length < 16 ? 'must be at least 16 characters long' : null
+                }
+            }
+        },
+        checker: {
+            type: 'object',
+            properties: {
+                strategy: { type: 'string', enum: ['failover', 'rotate'] },
+                maxFailures: { type: 'integer', min: 1 },
+                cooldownMs: { type: 'integer', min: 0 },
+                accounts: PHONE_NUMBERS
+            }
+        },
+        purchaseRules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    priority: { type: 'number' },
+                    quantity: { type: 'integer', min: 1 },
+                    accounts: PHONE_NUMBERS,
+                    delivery: DELIVERY,
+                    autoUpgrade: {
+                        type: 'oneOf',
+                        variants: [
+                            { type: 'boolean' },
+                            {
+                                type: 'object',
+                                properties: {
+                                    maxStars: { type: 'integer', min: 0 },
+                                    keepOriginalDetails: { type: 'boolean' }
+                                }
+                            }
+                        ],
+                        hint: 'must be a boolean or an object with maxStars and keepOriginalDetails'
+                    },
+                    on: {
+                        type: 'array',
+                        items: { type: 'string', enum: Object.values(GIFT_CHANGE_TYPES) }
+                    },
+                    match: {
+                        type: 'object',
+                        properties: {
+                            purchaseStars: RANGE,
+                            availabilityTotal: RANGE,
+                            isPremiumOnly: { type: 'boolean' },
+                            perUserAvailability: {
+                                type: 'oneOf',
+                                variants: [{ type: 'boolean' }, RANGE],
+                                hint: 'must be a boolean or an object with min and/or max'
+                            },
+                            upgradeStars: {
+                                type: 'oneOf',
+                                variants: [{ type: 'boolean' }, RANGE],
+                                hint: 'must be a boolean or an object with min and/or max'
+                            },
+                            releasedBy: {
+                                type: 'oneOf',
+                                variants: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+                                hint: 'must be a boolean or an array of usernames'
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        telegramAccounts: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['phoneNumber', 'apiId', 'apiHash'],
+                check: account => (account.targetPeerId === undefined) === (account.recipients === undefined)
+                    ? 'must have either targetPeerId or recipients'
+                    : null,
+                properties: {
+                    phoneNumber: {
+                        type: 'string',
+                        pattern: /^\+?\d{5,15}$/,
+                        patternHint: 'must be a phone number in international format, e.g. "+1234567890"'
+                    },
+                    targetPeerId: PEER,
+                    recipients: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'oneOf',
+                            variants: [
+                                PEER,
+                                {
+                                    type: 'object',
+                                    required: ['peer'],
+                                    properties: {
+                                        peer: PEER,
+                                        weight: { type: 'number', min: 0 },
+                                        limit: { type: 'integer', min: 1 }
+                                    }
+                                }
+                            ],
+                            hint: 'must be a peer ID, an @username or an object with peer, weight and limit'
+                        }
+                    },
+                    distribution: { type: 'string', enum: ['round-robin', 'fill', 'weighted'] },
+                    delivery: DELIVERY,
+                    purchaseConcurrency: { type: 'integer', min: 1 },
+                    manualPeerId: { ...PEER, nullable: true },
+                    apiId: { type: 'integer', min: 1 },
+                    apiHash: { type: 'string' },
+                    proxy: { type: 'string', check: checkProxy },
+                    limits: {
+                        type: 'object',
+                        properties: {
+                            maxStarsPerDay: { type: 'integer', min: 0, nullable: true },
+                            maxStarsPerGift: { type: 'integer', min: 0, nullable: true },
+                            maxUnitsPerGift: { type: 'integer', min: 0, nullable: true }
+                        }
+                    }
+                }
+            }
+        },
+        testGiftId: {
+            type: 'string',
+            nullable: true,
+            pattern: /^\d+$/,
+            patternHint: 'must be a gift ID given as a string of digits'
+        },
+        notifications: {
+            type: 'object',
+            dependentRequired: {
+                channelIds: ['botToken'],
+                routes: ['botToken']
+            },
+            check: notifications => notifications.botToken !== undefined && !notifications.channelIds && !notifications.routes
+                ? 'botToken requires channelIds or routes'
+                : null,
+            properties: {
+                botToken: { type: 'string' },
+                channelIds: {
+                    type: 'object',
+                    check: channelIds => Object.keys(channelIds).length === 0 ? 'must contain at least one of WARNING, SUCCESS, ERROR' : null,
+                    properties: {
+                        WARNING: { type: 'id' },
+                        SUCCESS: { type: 'id' },
+                        ERROR: { type: 'id' }
+                    }
+                },
+                routes: { type: 'array', minItems: 1, items: NOTIFICATION_ROUTE },
+                sinks: { type: 'array', items: NOTIFICATION_SINK }
+            }
+        },
+        controller: {
+            type: 'object',
+            dependentRequired: {
+                botToken: ['channelId'],
+                channelId: ['botToken']
+            },
+            properties: {
+                botToken: { type: 'string' },
+                channelId: { type: 'id' },
+                publicChannelId: { type: 'id' },
+                users: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'role'],
+                        properties: {
+                            id: { type: 'id' },
+                            role: { type: 'string', enum: ['viewer', 'buyer', 'admin'] }
+                        }
+                    }
+                },
+                allowEveryone: { type: 'boolean' },
+                confirmThreshold: { type: 'integer', min: 1 }
+            }
+        }
+    }
+};
+
+/**
+ * Build the JSON path of an object property
+ * @param {string} path - Path of the object
+ * @param {string} key - Property name
+ * @returns {string}
+ */
+function propertyPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Describe the type of a value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) {
+        return 'null';
+    }
+
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} node - Schema node
+ * @param {string} path - JSON path of the value
+ * @throws {ConfigValidationError} If the value does not match the schema
+ */
+function validateNode(value, node, path) {
+    if (value === null && node.nullable) {
+        return;
+    }
+
+    switch (node.type) {
+        case 'object':
+            validateObject(value, node, path);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                throw new ConfigValidationError(path, `must be an array, got ${describeType(value)}`);
+            }
+
+            if (node.minItems && value.length < node.minItems) {
+                throw new ConfigValidationError(path, `must contain at least ${node.minItems} item(s)`);
+            }
+
+            value.forEach((item, index) => validateNode(item, node.items, `${path}[${index}]`));
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value.length === 0) {
+                throw new ConfigValidationError(path, `must be a non-empty string, got ${describeType(value)}`);
+            }
+
+            if (node.enum && !node.enum.includes(value)) {
+                throw new ConfigValidationError(path, `must be one of ${node.enum.map(item => `"${item}"`).join(', ')}, got "${value}"`);
+            }
+
+            if (node.pattern && !node.pattern.test(value)) {
+                throw new ConfigValidationError(path, `${node.patternHint}, got "${value}"`);
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (node.type === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) {
+                throw new ConfigValidationError(path, `must be ${node.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+            }
+
+            if (node.min != null && value < node.min) {
+                throw new ConfigValidationError(path, `must be at least ${node.min}, got ${value}`);
+            }
+
+            if (node.max != null && value > node.max) {
+                throw new ConfigValidationError(path, `must be at most ${node.max}, got ${value}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new ConfigValidationError(path, `must be true or false, got ${JSON.stringify(value)}`);
+            }
+            break;
+        case 'id':
+            if (!Number.isInteger(value) && !(typeof value === 'string' && /^-?\d+$/.test(value))) {
+                throw new ConfigValidationError(path, `must be a numeric Telegram ID, got ${JSON.stringify(value)}`);
+            }
+            break;
+        case 'oneOf':
+            if (!node.variants.some(variant => matchesNode(value, variant, path))) {
+                throw new ConfigValidationError(path, node.hint);
+            }
+            break;
+        default:
+            throw new Error(`Unknown schema node type "${node.type}" at ${path}`);
+    }
+
+    if (node.check) {
+        const problem = node.check(value);
+        if (problem) {
+            throw new ConfigValidationError(path, problem);
+        }
+    }
+}
+
+/**
+ * Validate an object against an object schema node
+ * @param {*} value - Value to validate
+ * @param {Object} node - Object schema node
+ * @param {string} path - JSON path of the value
+ * @throws {ConfigValidationError} If the value does not match the schema
+ */
+function validateObject(value, node, path) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new ConfigValidationError(path, `must be an object, got ${describeType(value)}`);
+    }
+
+    for (const key of Object.keys(value)) {
+        if (!node.properties[key]) {
+            throw new ConfigValidationError(propertyPath(path, key), `unknown setting, expected one of ${Object.keys(node.properties).join(', ')}`);
+        }
+    }
+
+    for (const key of node.required || []) {
+        if (value[key] === undefined) {
+            throw new ConfigValidationError(propertyPath(path, key), 'is required');
+        }
+    }
+
+    for (const [key, dependencies] of Object.entries(node.dependentRequired || {})) {
+        if (value[key] === undefined) {
+            continue;
+        }
+
+        for (const dependency of dependencies) {
+            if (value[dependency] === undefined) {
+                throw new ConfigValidationError(propertyPath(path, dependency), `is required when ${propertyPath(path, key)} is set`);
+            }
+        }
+    }
+
+    for (const [key, propertyNode] of Object.entries(node.properties)) {
+        if (value[key] !== undefined) {
+            validateNode(value[key], propertyNode, propertyPath(path, key));
+        }
+    }
+}
+
+/**
+ * Check whether a value matches a schema node
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema node
+ * @param {string} path - JSON path of the value
+ * @returns {boolean}
+ */
+function matchesNode(value, node, path) {
+    try {
+        validateNode(value, node, path);
+        return true;
+    } catch (error) {
+        if (error instanceof ConfigValidationError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Validate raw configuration data against the config.json schema
+ * @param {Object} configData - Raw configuration data
+ * @throws {ConfigValidationError} If the configuration does not match the schema
+ */
+function validateConfig(configData) {
+    validateNode(configData, CONFIG_SCHEMA, '');
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    validateConfig
+};
@@ -0,0 +1,17 @@
+/**
+ * Error thrown when the configuration does not match the schema
+ */
+class ConfigValidationError extends Error {
+    /**
+     * @param {string} path - JSON path of the offending setting, e.g. "telegramAccounts[1].proxy"
+     * @param {string} reason - What is wrong with the setting
+     */
+    constructor(path, reason) {
+        super(`Invalid configuration at ${path || '<root>'}: ${reason}`);
+        this.name = 'ConfigValidationError';
+        this.path = path;
+        this.reason = reason;
+    }
+}
+
+module.exports = ConfigValidationError;
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const { CONFIG_PATH, loadConfig } = require('./configLoader');
+
+/**
+ * Top-level settings applied to the running application without a restart
+ * @type {Array<string>}
+ */
+const HOT_RELOAD_KEYS = [
+    'maxGiftSupply',
+    'maxGiftsToBuy',
+    'autoBuyEnabled',
+    'checkIntervalMs',
+    'dryRun',
+    'floodWait',
+    'balanceRefreshIntervalMs',
+    'purchaseRules',
+    'testGiftId',
+    'supplyTracking',
+    'purchaseConcurrency'
+];
+
+/**
+ * Account settings applied to the running application without a restart
+ * @type {Array<string>}
+ */
+const HOT_RELOAD_ACCOUNT_KEYS = ['limits', 'recipients', 'distribution', 'delivery', 'purchaseConcurrency'];
+
+/**
+ * Controller settings applied to the running application without a restart
+ * @type {Array<string>}
+ */
+const HOT_RELOAD_CONTROLLER_KEYS = ['users', 'allowEveryone', 'confirmThreshold'];
+
+/**
+ * Serialize a config value for comparison and logging
+ * @param {*} value - Config value
+ * @returns {string}
+ */
+function stringifyValue(value) {
+    if (value === undefined) {
+        return 'undefined';
+    }
+
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+/**
+ * Strip the hot-reloadable parts of an account, leaving the session settings
+ * @param {Object} account - Processed account configuration
+ * @returns {Object}
+ */
+function sessionSettingsOf(account) {
+    return Object.fromEntries(Object.entries(account).filter(([key]) => !HOT_RELOAD_ACCOUNT_KEYS.includes(key)));
+}
+
+/**
+ * Watches config.json and applies edits to the live configuration object.
+ *
+ * Every edit is re-validated with the same rules as on startup; an invalid edit is rejected
+ * and the last good configuration stays in place. Only keys that changed in the file are applied,
+ * so runtime changes made from the controller (/pause, /interval) survive unrelated edits.
+ * Settings bound to running sessions (accounts, checker pool, bot tokens) still require a restart.
+ */
+class ConfigWatcher {
+    /**
+     * @param {Object} config - Live configuration object shared by the application
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {Function} onChange - Called with the list of changed keys after an edit was applied
+     * @param {Object} [options] - Watcher options
+     * @param {string} [options.configPath] - Path to the configuration file
+     * @param {number} [options.intervalMs=1000] - How often the file is checked for changes
+     */
+    constructor(config, logger, onChange, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.onChange = onChange;
+        this.configPath = options.configPath || CONFIG_PATH;
+        this.intervalMs = options.intervalMs || 1000;
+        this.appliedConfig = null;
+        this.listener = null;
+    }
+
+    /**
+     * Start watching the configuration file
+     */
+    start() {
+        if (this.listener) {
+            return;
+        }
+
+        try {
+            this.appliedConfig = loadConfig(this.configPath);
+        } catch (error) {
+            this.logger.error(`Failed to read ${this.configPath}, the next valid edit will be applied in full:`, error);
+        }
+
+        this.listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+                return;
+            }
+
+            this.reload();
+        };
+
+        fs.watchFile(this.configPath, { interval: this.intervalMs }, this.listener);
+        this.logger.info(`Watching ${this.configPath} for changes`);
+    }
+
+    /**
+     * Stop watching the configuration file
+     */
+    stop() {
+        if (!this.listener) {
+            return;
+        }
+
+        fs.unwatchFile(this.configPath, this.listener);
+        this.listener = null;
+    }
+
+    /**
+     * Re-read the configuration file and apply what changed
+     * @returns {Array<string>} Changed keys that were applied
+     */
+    reload() {
+        let nextConfig;
+
+        try {
+            nextConfig = loadConfig(this.configPath);
+        } catch (error) {
+            this.logger.error(`Rejected invalid config.json edit, keeping the last good configuration: ${error.message}`);
+            return [];
+        }
+
+        const previousConfig = this.appliedConfig || this.config;
+        const changes = this._applyChanges(previousConfig, nextConfig);
+        const restartRequired = this._getRestartRequiredChanges(previousConfig, nextConfig);
+
+        this.appliedConfig = nextConfig;
+
+        if (restartRequired.length > 0) {
+            this.logger.warning(`config.json changes that require a restart were not applied: ${restartRequired.join(', ')}`);
+        }
+
+        if (changes.length === 0) {
+            if (restartRequired.length === 0) {
+                this.logger.info('config.json reloaded, nothing changed');
+            }
+            return [];
+        }
+
+        const diff = changes.map(change => `${change.key}: ${change.from} → ${change.to}`);
+        this.logger.warning(`config.json reloaded:\n${diff.join('\n')}`);
+
+        const changedKeys = changes.map(change => change.key);
+
+        try {
+            this.onChange(changedKeys);
+        } catch (error) {
+            this.logger.error('Failed to apply reloaded configuration:', error);
+        }
+
+        return changedKeys;
+    }
+
+    /**
+     * Copy hot-reloadable settings that changed in the file into the live configuration
+     * @param {Object} previousConfig - Configuration the file produced last time
+     * @param {Object} nextConfig - Configuration the file produces now
+     * @returns {Array<{key: string, from: string, to: string}>} Applied changes
+     * @private
+     */
+    _applyChanges(previousConfig, nextConfig) {
+        const changes = [];
+
+        const apply = (key, target, field, value, previousValue) => {
+            const from = stringifyValue(previousValue);
+            const to = stringifyValue(value);
+
+            if (from === to) {
+                return;
+            }
+
+            target[field] = value;
+            changes.push({ key, from, to });
+        };
+
+        for (const key of HOT_RELOAD_KEYS) {
+            apply(key, this.config, key, nextConfig[key], previousConfig[key]);
+        }
+
+        for (const key of HOT_RELOAD_CONTROLLER_KEYS) {
+            apply(`controller.${key}`, this.config.controller, key, nextConfig.controller[key], previousConfig.controller[key]);
+        }
+
+        apply('logging.levels', this.config.logging, 'levels', nextConfig.logging.levels, previousConfig.logging.levels);
+        apply('notifications.routes', this.config.notifications, 'routes', nextConfig.notifications.routes, previousConfig.notifications.routes);
+
+        // Account objects are shared with the client manager, so their settings are updated in place
+        for (const account of this.config.accounts) {
+            const nextAccount = nextConfig.accounts.find(item => item.phoneNumber === account.phoneNumber);
+            const previousAccount = previousConfig.accounts.find(item => item.phoneNumber === account.phoneNumber);
+
+            if (!nextAccount) {
+                continue;
+            }
+
+            for (const key of HOT_RELOAD_ACCOUNT_KEYS) {
+                apply(`accounts[${account.phoneNumber}].${key}`, account, key, nextAccount[key], previousAccount && previousAccount[key]);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * List changed settings that are bound to running sessions and cannot be applied live
+     * @param {Object} previousConfig - Configuration the file produced last time
+     * @param {Object} nextConfig - Configuration the file produces now
+     * @returns {Array<string>} Names of the changed settings
+     * @private
+     */
+    _getRestartRequiredChanges(previousConfig, nextConfig) {
+        const changed = [];
+
+        if (stringifyValue(previousConfig.accounts.map(sessionSettingsOf)) !== stringifyValue(nextConfig.accounts.map(sessionSettingsOf))) {
+            changed.push('telegramAccounts');
+        }
+
+        if (stringifyValue(previousConfig.checker) !== stringifyValue(nextConfig.checker)) {
+            changed.push('checker');
+        }
+
+        const notificationSessionSettings = notifications => {
+            const { routes, ...sessionSettings } = notifications;
+            return sessionSettings;
+        };
+
+        if (stringifyValue(notificationSessionSettings(previousConfig.notifications)) !== stringifyValue(notificationSessionSettings(nextConfig.notifications))) {
+            changed.push('notifications');
+        }
+
+        if (stringifyValue(previousConfig.metrics) !== stringifyValue(nextConfig.metrics)) {
+            changed.push('metrics');
+        }
+
+        if (stringifyValue(previousConfig.logging.file) !== stringifyValue(nextConfig.logging.file)) {
+            changed.push('logging.file');
+        }
+
+        if (stringifyValue(previousConfig.adminApi) !== stringifyValue(nextConfig.adminApi)) {
+            changed.push('adminApi');
+        }
+
+        const controllerSessionSettings = controller =>
+            Object.fromEntries(Object.entries(controller).filter(([key]) => !HOT_RELOAD_CONTROLLER_KEYS.includes(key)));
+
+        if (stringifyValue(controllerSessionSettings(previousConfig.controller)) !== stringifyValue(controllerSessionSettings(nextConfig.controller))) {
+            changed.push('controller');
+        }
+
+        return changed;
+    }
+}
+
+module.exports = ConfigWatcher;
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Path to the directory where persistent runtime data is stored
+ * @type {string}
+ */
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Resolve a file name inside the data directory
+ * @param {string} fileName - File name relative to the data directory
+ * @returns {string} Absolute file path
+ */
+function dataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Absolute file path
+ * @returns {Object|null} Parsed content or null if the file does not exist
+ */
+function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(content);
+}
+
+/**
+ * Write a JSON file atomically (write to a temporary file, then rename)
+ * so a crash in the middle of a write never leaves a truncated file behind
+ * @param {string} filePath - Absolute file path
+ * @param {Object} data - Data to serialize
+ */
+function writeJsonFile(filePath, data) {
+    ensureDataDir();
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    ensureDataDir,
+    dataPath,
+    readJsonFile,
+    writeJsonFile
+};
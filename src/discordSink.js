@@ -0,0 +1,128 @@
+const { dataPath } = require('./dataStore');
+const { metrics } = require('./metricsRegistry');
+const { postJson, toDeliveryResult } = require('./httpRequest');
+const { stringifyLogData } = require('./logRecord');
+const NotificationOutbox = require('./notificationOutbox');
+
+/**
+ * Maximum length of a Discord message
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Minimum delay between two messages, Discord allows 5 webhook requests per 2 seconds
+ * @type {number}
+ */
+const MIN_INTERVAL_MS = 1000;
+
+/**
+ * Maximum number of webhook messages to the same channel per minute
+ * @type {number}
+ */
+const MAX_MESSAGES_PER_MINUTE = 30;
+
+/**
+ * Code block markup of Discord messages
+ * @type {{open: string, close: string}}
+ */
+const CODE_BLOCK = { open: '```json\n', close: '```' };
+
+/**
+ * Notification sink that posts log entries to a Discord channel through a Discord webhook
+ * (or any webhook that accepts the Discord message format, e.g. Slack-compatible bridges)
+ */
+class DiscordSink {
+    /**
+     * @param {Object} settings - Sink settings
+     * @param {string} settings.name - Sink name
+     * @param {string} settings.url - Discord webhook URL
+     * @param {string|null} settings.username - Name the messages are posted under, null for the webhook name
+     * @param {import('./logger').Logger} logger - Logger for delivery problems
+     * @param {string} [outboxPath] - Path of the file unsent notifications are stored in
+     */
+    constructor(settings, logger, outboxPath = dataPath(`notification-outbox-${settings.name}.json`)) {
+        this.name = settings.name;
+        this.settings = settings;
+        this.outbox = new NotificationOutbox(message => this._send(message.text), {
+            filePath: outboxPath,
+            maxLength: MAX_MESSAGE_LENGTH,
+            minIntervalMs: MIN_INTERVAL_MS,
+            maxPerMinute: MAX_MESSAGES_PER_MINUTE,
+            codeBlock: CODE_BLOCK,
+            logger: logger.child({ sink: settings.name })
+        });
+        this.outbox.load();
+    }
+
+    /**
+     * Create a log listener that queues every entry for the channel
+     * @returns {Function} Log listener
+     */
+    createLogListener() {
+        return entry => {
+            if (!NotificationOutbox.isDeliveryEntry(entry)) {
+                this.outbox.enqueue(this.name, this._formatEntry(entry));
+            }
+        };
+    }
+
+    /**
+     * Format a log entry as a Discord message
+     * @param {Object} entry - Log entry from the logger
+     * @returns {string} Markdown text
+     * @private
+     */
+    _formatEntry(entry) {
+        let text = `**[${entry.level}]** ${entry.message}`;
+
+        if (entry.data && typeof entry.data === 'object') {
+            text += `\n${CODE_BLOCK.open}${stringifyLogData(entry.data)}\n${CODE_BLOCK.close}`;
+        } else if (typeof entry.data === 'string' && entry.data.length > 0) {
+            text += `\n${entry.data}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Post a message to the webhook
+     * @param {string} content - Message text
+     * @returns {Promise<{ok: boolean, retryAfterSeconds?: number, permanent?: boolean, error?: string}>} Result for the outbox
+     * @private
+     */
+    async _send(content) {
+        const body = JSON.stringify({
+            content,
+            ...(this.settings.username ? { username: this.settings.username } : {}),
+            // Log lines must never ping anyone
+            allowed_mentions: { parse: [] }
+        });
+
+        try {
+            const result = toDeliveryResult(await postJson(this.settings.url, body));
+
+            if (!result.ok) {
+                metrics.inc('gifts_notifier_send_failures_total', {
+                    sink: this.name,
+                    reason: result.retryAfterSeconds != null ? 'rate_limited' : 'api'
+                });
+            }
+
+            return result;
+        } catch (error) {
+            metrics.inc('gifts_notifier_send_failures_total', { sink: this.name, reason: 'network' });
+            return { ok: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send the queued notifications, waiting a few seconds at most, and store the rest for the next run
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return this.outbox.stop();
+    }
+}
+
+module.exports = DiscordSink;
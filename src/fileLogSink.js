@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { stringifyLogRecord } = require('./logRecord');
+
+/**
+ * Prefix of the log file names, files are named <prefix>-YYYY-MM-DD[.N].jsonl
+ * @type {string}
+ */
+const FILE_PREFIX = 'monitor';
+
+/**
+ * Matches log file names and captures the day and the part number
+ * @type {RegExp}
+ */
+const FILE_PATTERN = new RegExp(`^${FILE_PREFIX}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.jsonl$`);
+
+/**
+ * Writes log entries as JSON lines to files rotated by size and by day.
+ *
+ * Every line carries the timestamp, level, message, the data payload and the context
+ * fields of the entry. A new file is started on a new (UTC) day and when the current
+ * file reaches the size limit; the oldest files are deleted once there are more files
+ * than allowed or they are older than the retention period.
+ */
+class FileLogSink {
+    /**
+     * @param {Object} settings - File log settings
+     * @param {string} settings.directory - Directory of the log files
+     * @param {number} settings.maxFileSizeMb - Size after which a new file is started
+     * @param {number} settings.maxFiles - Maximum number of files to keep
+     * @param {number|null} settings.maxAgeDays - Days to keep files for, null to keep them regardless of age
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.fd = null;
+        this.day = null;
+        this.part = 0;
+        this.size = 0;
+        this.failed = false;
+    }
+
+    /**
+     * Create a logger listener that writes every entry to the file
+     * @returns {Function} Log listener
+     */
+    createLogListener() {
+        return entry => this.write(entry);
+    }
+
+    /**
+     * Write a log entry
+     * @param {Object} entry - Log entry from the logger
+     * @param {string} entry.level - Log level
+     * @param {string} entry.message - Log message
+     * @param {*} [entry.data] - Additional data
+     * @param {Object} [entry.context] - Context fields of the entry
+     * @param {Date} entry.timestamp - Time of the entry
+     */
+    write(entry) {
+        const line = `${stringifyLogRecord(entry)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        try {
+            const day = entry.timestamp.toISOString().slice(0, 10);
+
+            if (this.fd === null || day !== this.day) {
+                this._open(day);
+            } else if (this.size > 0 && this.size + bytes > this.settings.maxFileSizeMb * 1024 * 1024) {
+                this._open(day, this.part + 1);
+            }
+
+            fs.writeSync(this.fd, line);
+            this.size += bytes;
+            this.failed = false;
+        } catch (error) {
+            // Reported once per failure streak; logging through the logger would loop back here
+            if (!this.failed) {
+                console.error(`Failed to write log file in ${this.settings.directory}:`, error.message);
+                this.failed = true;
+            }
+
+            this.close();
+        }
+    }
+
+    /**
+     * Open the file of a day, continuing the last part written that day unless a part is given
+     * @param {string} day - Day (YYYY-MM-DD)
+     * @param {number} [part] - Part number to start
+     * @private
+     */
+    _open(day, part) {
+        this.close();
+        fs.mkdirSync(this.settings.directory, { recursive: true });
+
+        if (part === undefined) {
+            part = this._listFiles()
+                .filter(file => file.day === day)
+                .reduce((last, file) => Math.max(last, file.part), 0);
+        }
+
+        const fileName = part > 0 ? `${FILE_PREFIX}-${day}.${part}.jsonl` : `${FILE_PREFIX}-${day}.jsonl`;
+        const filePath = path.join(this.settings.directory, fileName);
+
+        this.fd = fs.openSync(filePath, 'a');
+        this.day = day;
+        this.part = part;
+        this.size = fs.fstatSync(this.fd).size;
+
+        this._applyRetention(fileName);
+    }
+
+    /**
+     * List the log files in the directory
+     * @returns {Array<{name: string, day: string, part: number}>} Files from the oldest to the newest
+     * @private
+     */
+    _listFiles() {
+        return fs.readdirSync(this.settings.directory)
+            .map(name => {
+                const match = name.match(FILE_PATTERN);
+                return match ? { name, day: match[1], part: match[2] ? parseInt(match[2], 10) : 0 } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+    }
+
+    /**
+     * Delete files beyond the file count limit and files older than the retention period
+     * @param {string} currentFile - Name of the file being written, never deleted
+     * @private
+     */
+    _applyRetention(currentFile) {
+        const { maxFiles, maxAgeDays } = this.settings;
+        const files = this._listFiles().filter(file => file.name !== currentFile);
+        const oldestDay = maxAgeDays != null
+            ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+            : null;
+        const excess = files.length + 1 - maxFiles;
+
+        files.forEach((file, index) => {
+            if (index < excess || (oldestDay && file.day < oldestDay)) {
+                try {
+                    fs.unlinkSync(path.join(this.settings.directory, file.name));
+                } catch (error) {
+                    console.error(`Failed to delete old log file ${file.name}:`, error.message);
+                }
+            }
+        });
+    }
+
+    /**
+     * Close the current file
+     */
+    close() {
+        if (this.fd === null) {
+            return;
+        }
+
+        try {
+            fs.closeSync(this.fd);
+        } catch (error) {
+            // The descriptor is unusable either way
+        }
+
+        this.fd = null;
+    }
+}
+
+module.exports = FileLogSink;
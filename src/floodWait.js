@@ -0,0 +1,58 @@
+/**
+ * Helpers for recognizing Telegram rate-limit errors
+ */
+
+/**
+ * Rate-limit errors that carry the number of seconds to wait, e.g. FLOOD_WAIT_30
+ * @type {RegExp}
+ */
+const WAIT_ERROR_PATTERN = /\b(FLOOD_WAIT|FLOOD_PREMIUM_WAIT|SLOWMODE_WAIT|TAKEOUT_INIT_DELAY)_(\d+)\b/;
+
+/**
+ * Bot API style rate-limit messages, e.g. "Too Many Requests: retry after 5"
+ * @type {RegExp}
+ */
+const RETRY_AFTER_PATTERN = /retry after (\d+)/i;
+
+/**
+ * Get the number of seconds Telegram asked us to wait
+ * @param {Error} error - Error thrown by an API call
+ * @returns {number|null} Seconds to wait, or null if the error is not a rate-limit error
+ */
+function getFloodWaitSeconds(error) {
+    if (!error) {
+        return null;
+    }
+
+    const text = `${error.text || ''} ${error.message || ''}`;
+
+    const waitMatch = text.match(WAIT_ERROR_PATTERN);
+    if (waitMatch) {
+        return parseInt(waitMatch[2], 10);
+    }
+
+    const retryAfterMatch = text.match(RETRY_AFTER_PATTERN);
+    if (retryAfterMatch) {
+        return parseInt(retryAfterMatch[1], 10);
+    }
+
+    if (typeof error.seconds === 'number' && /FLOOD|WAIT/.test(text)) {
+        return error.seconds;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether an error is a rate-limit error
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean}
+ */
+function isFloodWaitError(error) {
+    return getFloodWaitSeconds(error) !== null;
+}
+
+module.exports = {
+    getFloodWaitSeconds,
+    isFloodWaitError
+};
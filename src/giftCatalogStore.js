@@ -0,0 +1,87 @@
+const { dataPath, readJsonFile, writeJsonFile } = require('./dataStore');
+
+/**
+ * Default file name of the persisted gift catalog
+ * @type {string}
+ */
+const CATALOG_FILE = 'giftCatalog.json';
+
+/**
+ * Persists the known-gift catalog to disk so that gifts released
+ * while the monitor was offline are still detected after a restart
+ */
+class GiftCatalogStore {
+    /**
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {string} [filePath] - Path of the catalog file
+     */
+    constructor(logger, filePath = dataPath(CATALOG_FILE)) {
+        this.logger = logger;
+        this.filePath = filePath;
+    }
+
+    /**
+     * Convert a gift object into a plain JSON-serializable snapshot
+     * @param {Object} gift - Gift object returned by getStarGiftOptions
+     * @returns {Object} Gift snapshot
+     */
+    static snapshotGift(gift) {
+        return {
+            id: gift.id.toString(),
+            title: gift.title || null,
+            purchaseStars: gift.purchaseStars != null ? Number(gift.purchaseStars) : null,
+            upgradeStars: gift.upgradeStars != null ? Number(gift.upgradeStars) : null,
+            isPremiumOnly: !!gift.isPremiumOnly,
+            isSoldOut: !!gift.isSoldOut,
+            availability: gift.availability
+                ? { remains: gift.availability.remains, total: gift.availability.total }
+                : null,
+            perUserAvailability: gift.perUserAvailability
+                ? { remains: gift.perUserAvailability.remains, total: gift.perUserAvailability.total }
+                : null,
+            releasedBy: gift.releasedBy?.username || null
+        };
+    }
+
+    /**
+     * Load the catalog from disk
+     * @returns {{savedAt: Date, gifts: Array<Object>}|null} Persisted catalog or null if none is available
+     */
+    load() {
+        try {
+            const data = readJsonFile(this.filePath);
+
+            if (!data || !Array.isArray(data.gifts)) {
+                return null;
+            }
+
+            return {
+                savedAt: new Date(data.savedAt),
+                gifts: data.gifts
+            };
+        } catch (error) {
+            this.logger.error(`Failed to load gift catalog from ${this.filePath}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the catalog to disk
+     * @param {Array<Object>} snapshots - Gift snapshots created with {@link GiftCatalogStore.snapshotGift}
+     * @returns {boolean} Whether the catalog was saved
+     */
+    save(snapshots) {
+        try {
+            writeJsonFile(this.filePath, {
+                savedAt: new Date().toISOString(),
+                gifts: snapshots
+            });
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to save gift catalog to ${this.filePath}:`, error);
+            return false;
+        }
+    }
+}
+
+module.exports = GiftCatalogStore;
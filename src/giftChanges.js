@@ -0,0 +1,153 @@
+/**
+ * Field-level changes of known gifts between two checks.
+ *
+ * Gifts are compared as catalog snapshots (see GiftCatalogStore.snapshotGift), so a gift
+ * returned by the current check can be compared both with the previous check and with
+ * the catalog persisted before a restart. The remaining supply is not compared here,
+ * it is tracked by the supply tracker.
+ */
+
+/**
+ * Types of gift change events
+ * @type {Object<string, string>}
+ */
+const GIFT_CHANGE_TYPES = {
+    PRICE_CHANGED: 'price_changed',
+    UPGRADE_AVAILABLE: 'upgrade_available',
+    UPGRADE_UNAVAILABLE: 'upgrade_unavailable',
+    UPGRADE_PRICE_CHANGED: 'upgrade_price_changed',
+    PER_USER_LIMIT_ADDED: 'per_user_limit_added',
+    PER_USER_LIMIT_REMOVED: 'per_user_limit_removed',
+    PER_USER_LIMIT_CHANGED: 'per_user_limit_changed',
+    PREMIUM_ONLY_CHANGED: 'premium_only_changed',
+    SUPPLY_CHANGED: 'supply_changed',
+    DELISTED: 'delisted',
+    RELISTED: 'relisted'
+};
+
+/**
+ * Compare an optional numeric field of two snapshots
+ * @param {number|null} from - Previous value
+ * @param {number|null} to - Current value
+ * @param {{added: string, removed: string, changed: string}} types - Event types for each kind of change
+ * @returns {string|null} Event type, or null if the value did not change
+ */
+function compareOptional(from, to, types) {
+    if (from === to) {
+        return null;
+    }
+
+    if (from == null) {
+        return types.added;
+    }
+
+    if (to == null) {
+        return types.removed;
+    }
+
+    return types.changed;
+}
+
+/**
+ * Diff two snapshots of the same gift field by field
+ * @param {Object} previous - Snapshot of the gift from the previous check or the persisted catalog
+ * @param {Object} current - Snapshot of the gift from the current check
+ * @returns {Array<{type: string, giftId: string, title: string|null, from: *, to: *}>} Change events
+ */
+function diffGiftSnapshots(previous, current) {
+    const changes = [];
+    const push = (type, from, to) => changes.push({ type, giftId: current.id, title: current.title, from, to });
+
+    if (previous.delisted) {
+        push(GIFT_CHANGE_TYPES.RELISTED, null, null);
+    }
+
+    if (previous.purchaseStars !== current.purchaseStars) {
+        push(GIFT_CHANGE_TYPES.PRICE_CHANGED, previous.purchaseStars, current.purchaseStars);
+    }
+
+    const upgradeType = compareOptional(previous.upgradeStars, current.upgradeStars, {
+        added: GIFT_CHANGE_TYPES.UPGRADE_AVAILABLE,
+        removed: GIFT_CHANGE_TYPES.UPGRADE_UNAVAILABLE,
+        changed: GIFT_CHANGE_TYPES.UPGRADE_PRICE_CHANGED
+    });
+    if (upgradeType) {
+        push(upgradeType, previous.upgradeStars, current.upgradeStars);
+    }
+
+    const previousPerUser = previous.perUserAvailability ? previous.perUserAvailability.total : null;
+    const currentPerUser = current.perUserAvailability ? current.perUserAvailability.total : null;
+    const perUserType = compareOptional(previousPerUser, currentPerUser, {
+        added: GIFT_CHANGE_TYPES.PER_USER_LIMIT_ADDED,
+        removed: GIFT_CHANGE_TYPES.PER_USER_LIMIT_REMOVED,
+        changed: GIFT_CHANGE_TYPES.PER_USER_LIMIT_CHANGED
+    });
+    if (perUserType) {
+        push(perUserType, previousPerUser, currentPerUser);
+    }
+
+    if (previous.isPremiumOnly !== current.isPremiumOnly) {
+        push(GIFT_CHANGE_TYPES.PREMIUM_ONLY_CHANGED, previous.isPremiumOnly, current.isPremiumOnly);
+    }
+
+    const previousTotal = previous.availability ? previous.availability.total : null;
+    const currentTotal = current.availability ? current.availability.total : null;
+    if (previousTotal !== currentTotal) {
+        push(GIFT_CHANGE_TYPES.SUPPLY_CHANGED, previousTotal, currentTotal);
+    }
+
+    return changes;
+}
+
+/**
+ * Create the event of a known gift that is no longer returned by getStarGiftOptions
+ * @param {Object} snapshot - Last known snapshot of the gift
+ * @returns {{type: string, giftId: string, title: string|null, from: null, to: null}}
+ */
+function delistedChange(snapshot) {
+    return { type: GIFT_CHANGE_TYPES.DELISTED, giftId: snapshot.id, title: snapshot.title, from: null, to: null };
+}
+
+/**
+ * Describe a change event for logs and notifications
+ * @param {{type: string, giftId: string, title: string|null, from: *, to: *}} change - Change event
+ * @returns {string}
+ */
+function describeGiftChange(change) {
+    const gift = `${change.title || 'Unknown'} (ID: ${change.giftId})`;
+    const limit = value => value == null ? 'unlimited' : value;
+
+    switch (change.type) {
+        case GIFT_CHANGE_TYPES.PRICE_CHANGED:
+            return `Price of gift ${gift} changed from ${change.from} ⭐️ to ${change.to} ⭐️`;
+        case GIFT_CHANGE_TYPES.UPGRADE_AVAILABLE:
+            return `Upgrade became available for gift ${gift} for ${change.to} ⭐️`;
+        case GIFT_CHANGE_TYPES.UPGRADE_UNAVAILABLE:
+            return `Upgrade is no longer available for gift ${gift}`;
+        case GIFT_CHANGE_TYPES.UPGRADE_PRICE_CHANGED:
+            return `Upgrade price of gift ${gift} changed from ${change.from} ⭐️ to ${change.to} ⭐️`;
+        case GIFT_CHANGE_TYPES.PER_USER_LIMIT_ADDED:
+            return `Gift ${gift} is now limited to ${change.to} per user`;
+        case GIFT_CHANGE_TYPES.PER_USER_LIMIT_REMOVED:
+            return `Gift ${gift} is no longer limited per user (was ${change.from})`;
+        case GIFT_CHANGE_TYPES.PER_USER_LIMIT_CHANGED:
+            return `Per-user limit of gift ${gift} changed from ${change.from} to ${change.to}`;
+        case GIFT_CHANGE_TYPES.PREMIUM_ONLY_CHANGED:
+            return change.to ? `Gift ${gift} became premium-only` : `Gift ${gift} is no longer premium-only`;
+        case GIFT_CHANGE_TYPES.SUPPLY_CHANGED:
+            return `Total supply of gift ${gift} changed from ${limit(change.from)} to ${limit(change.to)}`;
+        case GIFT_CHANGE_TYPES.DELISTED:
+            return `Gift ${gift} was removed from the catalog`;
+        case GIFT_CHANGE_TYPES.RELISTED:
+            return `Gift ${gift} is back in the catalog`;
+        default:
+            return `Gift ${gift} changed: ${change.type}`;
+    }
+}
+
+module.exports = {
+    GIFT_CHANGE_TYPES,
+    diffGiftSnapshots,
+    delistedChange,
+    describeGiftChange
+};
@@ -0,0 +1,72 @@
+/**
+ * Templates of the message sent along with a purchased gift.
+ *
+ * A template may contain placeholders in curly braces:
+ * - {title}: gift title
+ * - {giftId}: gift ID
+ * - {date}: purchase date (UTC), YYYY-MM-DD
+ * - {time}: purchase time (UTC), HH:MM
+ * - {account}: phone number of the buying account
+ * - {username}: @username of the buying account, or its ID when it has no username
+ */
+
+/**
+ * Placeholders supported in gift message templates
+ * @type {Array<string>}
+ */
+const PLACEHOLDERS = ['title', 'giftId', 'date', 'time', 'account', 'username'];
+
+/**
+ * Pattern of a placeholder in a template
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Find placeholders in a template that are not supported
+ * @param {string} template - Message template
+ * @returns {Array<string>} Unknown placeholder names
+ */
+function findUnknownPlaceholders(template) {
+    const unknown = [];
+
+    for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!PLACEHOLDERS.includes(name) && !unknown.includes(name)) {
+            unknown.push(name);
+        }
+    }
+
+    return unknown;
+}
+
+/**
+ * Render a gift message template
+ * @param {string} template - Message template
+ * @param {Object} values - Purchase details
+ * @param {Object} values.gift - Gift object
+ * @param {string} values.account - Phone number of the buying account
+ * @param {Object} values.user - User info of the buying account
+ * @param {Date} [values.date] - Purchase time
+ * @returns {string} Message text
+ */
+function renderGiftMessage(template, { gift, account, user, date = new Date() }) {
+    const iso = date.toISOString();
+    const values = {
+        title: gift.title,
+        giftId: gift.id.toString(),
+        date: iso.slice(0, 10),
+        time: iso.slice(11, 16),
+        account,
+        username: user.username ? `@${user.username}` : String(user.id)
+    };
+
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+    );
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    findUnknownPlaceholders,
+    renderGiftMessage
+};
@@ -1,3 +1,45 @@
+const crypto = require('crypto');
+const GiftCatalogStore = require('./giftCatalogStore');
+const PurchasePolicy = require('./purchasePolicy');
+const BalanceTracker = require('./balanceTracker');
+const SpendingTracker = require('./spendingTracker');
+const PurchaseLedger = require('./purchaseLedger');
+const GiftUpgrader = require('./giftUpgrader');
+const SupplyTracker = require('./supplyTracker');
+const PurchaseScheduler = require('./purchaseScheduler');
+const { metrics } = require('./metricsRegistry');
+const { COMPONENTS, EVENTS } = require('./logger');
+const { getFloodWaitSeconds } = require('./floodWait');
+const { renderGiftMessage } = require('./giftMessage');
+const { diffGiftSnapshots, delistedChange, describeGiftChange } = require('./giftChanges');
+
+/**
+ * How gifts are sent when neither the account nor the purchase rule configures it
+ * @type {{anonymous: boolean, message: string|null, withUpgrade: boolean}}
+ */
+const DEFAULT_DELIVERY = {
+    anonymous: true,
+    message: null,
+    withUpgrade: false
+};
+
+/**
+ * Maximum number of attempts to send one unit of a gift
+ * @type {number}
+ */
+const MAX_PURCHASE_ATTEMPTS = 50;
+
+/**
+ * Errors after which an account stops buying a gift
+ * @type {Array<string>}
+ */
+const NON_RETRYABLE_ERRORS = [
+    'USAGE_LIMITED',
+    'PREMIUM',
+    'BALANCE_TOO_LOW',
+    'is not found in local cache',
+];
+
 /**
  * Service for handling Telegram gift operations
  */
@@ -18,6 +60,98 @@ class GiftService {
         this.giftIdsCache = new Set();
         this.giftsMap = new Map(); // Store full gift objects by ID
         this.testGiftProcessed = false; // Flag to track if test gift has been processed
+        this.catalogStore = new GiftCatalogStore(logger);
+        this.catalogSnapshots = new Map(); // Persisted snapshots of known gifts by ID
+        this.catalogRestored = false; // Whether the known-gift catalog was loaded from disk
+        this.purchasePolicy = new PurchasePolicy(config.purchaseRules);
+        this.balanceTracker = new BalanceTracker(clientManager, logger);
+        this.spendingTracker = new SpendingTracker(logger);
+        this.dryRunSpendingTracker = new SpendingTracker(logger, null); // In-memory totals for simulated purchases
+        this.pollingPausedUntil = 0; // Set while every checker client is waiting out a flood wait
+        this.ledger = new PurchaseLedger(logger);
+        this.giftUpgrader = new GiftUpgrader(this.balanceTracker, this.spendingTracker, this.ledger, logger);
+        this.supplyTracker = new SupplyTracker(logger, config.supplyTracking);
+        this.purchaseScheduler = new PurchaseScheduler(logger, client => this._getPurchaseConcurrency(client));
+        this.recentCheckTimes = []; // End times of the successful checks during the last minute
+
+        metrics.setCollector('gifts_checks_per_minute', () => this._countRecentChecks(Date.now()));
+        this.lastCheck = null; // { at: Date, latencyMs: number, phoneNumber: string } of the last successful check
+    }
+
+    /**
+     * Pause or resume automatic purchases
+     * @param {boolean} enabled - Whether auto-buy should be enabled
+     */
+    setAutoBuyEnabled(enabled) {
+        if (this.config.autoBuyEnabled === enabled) {
+            return;
+        }
+
+        this.config.autoBuyEnabled = enabled;
+        this.logger.warning(enabled ? 'Auto-buy resumed' : 'Auto-buy paused');
+    }
+
+    /**
+     * Apply a reloaded configuration.
+     * Plain settings are read from the shared config object on every check,
+     * only derived state has to be rebuilt here.
+     */
+    applyConfig() {
+        this.purchasePolicy = new PurchasePolicy(this.config.purchaseRules);
+        this.supplyTracker.settings = this.config.supplyTracking;
+    }
+
+    /**
+     * Load the persisted gift catalog so that gifts released while
+     * the monitor was offline are treated as new on the first check
+     * @returns {boolean} Whether a persisted catalog was loaded
+     */
+    loadCatalog() {
+        const catalog = this.catalogStore.load();
+
+        if (!catalog || catalog.gifts.length === 0) {
+            this.logger.info('No persisted gift catalog found, all gifts will be cached on the first check');
+            return false;
+        }
+
+        for (const snapshot of catalog.gifts) {
+            this.giftIdsCache.add(snapshot.id);
+            this.catalogSnapshots.set(snapshot.id, snapshot);
+        }
+
+        this.catalogRestored = true;
+        this.logger.info(
+            `Loaded ${this.giftIdsCache.size} known gifts from the catalog saved at ${catalog.savedAt.toISOString()}`
+        );
+        return true;
+    }
+
+    /**
+     * Fetch the stars balance of all accounts
+     * @returns {Promise<void>}
+     */
+    async refreshBalances() {
+        await this.balanceTracker.refreshAll();
+    }
+
+    /**
+     * Persist the known-gift catalog to disk
+     * @private
+     */
+    _saveCatalog() {
+        const snapshots = [];
+
+        for (const giftId of this.giftIdsCache) {
+            const gift = this.giftsMap.get(giftId);
+            const snapshot = gift ? GiftCatalogStore.snapshotGift(gift) : this.catalogSnapshots.get(giftId);
+
+            if (snapshot) {
+                this.catalogSnapshots.set(giftId, snapshot);
+                snapshots.push(snapshot);
+            }
+        }
+
+        this.catalogStore.save(snapshots);
     }
 
     /**
@@ -34,11 +168,28 @@ class GiftService {
             return;
         }
 
+        const waitMs = this.clientManager.getCheckerWaitMs();
+        if (waitMs > 0) {
+            if (this.pollingPausedUntil === 0) {
+                this.pollingPausedUntil = now + waitMs;
+                this.logger.warning(
+                    `All checker clients are rate limited, pausing gift checks for ${Math.ceil(waitMs / 1000)}s`,
+                    { until: new Date(this.pollingPausedUntil).toISOString() }
+                );
+            }
+            return;
+        }
+
+        if (this.pollingPausedUntil !== 0) {
+            this.pollingPausedUntil = 0;
+            this.logger.warning('Gift checks resumed after the flood wait');
+        }
+
         this.lastCheckTime = now;
         this.isCheckingGifts = true;
 
         try {
-            const checkerClient = this.clientManager.getCheckerClient();
+            const checkerClient = this.clientManager.nextCheckerClient();
             const userInfo = this.clientManager.getUserInfo(checkerClient);
             const account = this.clientManager.clientsMap.get(checkerClient);
             const userIdentifier = userInfo.username || userInfo.id;
@@ -46,11 +197,26 @@ class GiftService {
             this.logger.info(`Checking available gifts from account ${userIdentifier} (${account.phoneNumber})...`);
             
             const startTime = Date.now();
-            const availableGifts = await checkerClient.getStarGiftOptions();
+            let availableGifts;
+            try {
+                availableGifts = await checkerClient.getStarGiftOptions();
+                this.clientManager.reportCheckResult(checkerClient);
+            } catch (error) {
+                this.clientManager.reportCheckResult(checkerClient, error);
+                metrics.inc('gifts_checks_total', { account: account.phoneNumber, result: 'error' });
+                throw error;
+            }
             const endTime = Date.now();
             const requestTime = endTime - startTime;
+
+            metrics.observe('gifts_check_duration_seconds', { account: account.phoneNumber }, requestTime / 1000);
+            metrics.inc('gifts_checks_total', { account: account.phoneNumber, result: 'success' });
+            this.recentCheckTimes.push(endTime);
+            this._countRecentChecks(endTime);
             
             this.logger.info(`Gift list request completed in ${requestTime}ms for account ${userIdentifier} (${account.phoneNumber})`);
+            this.lastCheck = { at: new Date(endTime), latencyMs: requestTime, phoneNumber: account.phoneNumber };
+            this._trackSupply(availableGifts, endTime);
 
             const isFirstRun = this.giftIdsCache.size === 0;
 
@@ -62,7 +228,32 @@ class GiftService {
                     this.giftsMap.set(giftId, gift);
                 }
                 this.logger.info(`Cached ${this.giftIdsCache.size} gift IDs.`);
+                this._saveCatalog();
             } else {
+                const changes = this._detectGiftChanges(availableGifts);
+
+                // Known gifts are returned with fresh supply on every check
+                for (const gift of availableGifts) {
+                    const giftId = gift.id.toString();
+                    if (this.giftIdsCache.has(giftId)) {
+                        this.giftsMap.set(giftId, gift);
+                    }
+                }
+
+                if (this.catalogRestored) {
+                    this.catalogRestored = false;
+
+                    const offlineGiftsCount = availableGifts.filter(
+                        gift => !this.giftIdsCache.has(gift.id.toString())
+                    ).length;
+
+                    if (offlineGiftsCount > 0) {
+                        this.logger.warning(`${offlineGiftsCount} gift(s) appeared while the monitor was offline`);
+                    } else {
+                        this.logger.info('No gifts appeared while the monitor was offline');
+                    }
+                }
+
                 const testGiftId = this.config.testGiftId;
                 const newGifts = availableGifts.filter(
                     gift => !this.giftIdsCache.has(gift.id.toString()) ||
@@ -74,27 +265,41 @@ class GiftService {
                     this.logger.info(`Test gift with ID ${testGiftId} marked as processed`);
                 }
 
+                const decisions = new Map();
+
+                if (newGifts.length > 0) {
+                    metrics.inc('gifts_new_detected_total', {}, newGifts.length);
+                }
+
                 for (const gift of newGifts) {
                     const giftId = gift.id.toString();
                     this.giftIdsCache.add(giftId);
                     this.giftsMap.set(giftId, gift);
 
-                    this.logger.warning(`Found new gift`, gift);
-                    Promise.resolve().then(() => this.notifyNewGift(gift))
+                    const decision = this.purchasePolicy.evaluate(gift);
+                    if (decision) {
+                        decisions.set(giftId, decision);
+                    }
+
+                    this.logger.child({ event: EVENTS.NEW_GIFT, giftId }).warning(`Found new gift`, gift);
+                    this._logPurchaseDecision(gift, decision);
+
+                    Promise.resolve().then(() => this.notifyNewGift(gift, decision))
                         .catch(error => this.logger.error('Background notification error:', error));
                 }
 
-                if (this.config.autoBuyEnabled && newGifts.length > 0) {
-                    const lowSupplyGifts = newGifts.filter(gift =>
-                        gift.availability && 
-                        this.config.maxGiftSupply >= (gift.availability.total || 10000000)
-                    ).sort((a, b) =>
-                        ((a.availability.total || 10000000) - (b.availability.total || 10000000) )
-                    );
+                const changedGifts = this._evaluateGiftChanges(changes, newGifts, decisions);
 
-                    if (lowSupplyGifts.length > 0) {
-                        await this.purchaseGiftsWithAllClients(lowSupplyGifts);
-                    }
+                if (newGifts.length > 0 || changes.size > 0) {
+                    this._saveCatalog();
+                }
+
+                if (this.config.autoBuyEnabled && decisions.size > 0) {
+                    const giftsToBuy = [...newGifts, ...changedGifts]
+                        .filter(gift => decisions.has(gift.id.toString()))
+                        .sort((a, b) => this._comparePurchaseOrder(a, b, decisions));
+
+                    await this.purchaseGiftsWithAllClients(giftsToBuy, 0, false, decisions);
                 }
             }
         } catch (error) {
@@ -104,15 +309,197 @@ class GiftService {
         }
     }
 
+    /**
+     * Drop check times older than a minute and count the remaining ones
+     * @param {number} now - Current time
+     * @returns {number} Successful checks during the last minute
+     * @private
+     */
+    _countRecentChecks(now) {
+        while (this.recentCheckTimes.length > 0 && this.recentCheckTimes[0] <= now - 60000) {
+            this.recentCheckTimes.shift();
+        }
+
+        return this.recentCheckTimes.length;
+    }
+
+    /**
+     * Get the last known snapshot of a known gift
+     * @param {string} giftId - Gift ID
+     * @returns {Object|null} Snapshot from the previous check, or from the persisted catalog after a restart
+     * @private
+     */
+    _getKnownSnapshot(giftId) {
+        const gift = this.giftsMap.get(giftId);
+        return gift ? GiftCatalogStore.snapshotGift(gift) : this.catalogSnapshots.get(giftId) || null;
+    }
+
+    /**
+     * Diff the known gifts against the gifts returned by a check and log the changes.
+     * Must run before the known gifts in giftsMap are replaced with the fresh ones
+     * @param {Array<Object>} availableGifts - Gift objects returned by getStarGiftOptions
+     * @returns {Map<string, Array<Object>>} Change events by gift ID
+     * @private
+     */
+    _detectGiftChanges(availableGifts) {
+        const changes = new Map();
+        const availableIds = new Set();
+
+        for (const gift of availableGifts) {
+            const giftId = gift.id.toString();
+            availableIds.add(giftId);
+
+            const previous = this.giftIdsCache.has(giftId) ? this._getKnownSnapshot(giftId) : null;
+            if (!previous) {
+                continue;
+            }
+
+            const giftChanges = diffGiftSnapshots(previous, GiftCatalogStore.snapshotGift(gift));
+            if (giftChanges.length > 0) {
+                changes.set(giftId, giftChanges);
+            }
+        }
+
+        // An empty answer is more likely a glitch than the whole catalog being delisted
+        if (availableGifts.length > 0) {
+            for (const giftId of this.giftIdsCache) {
+                const snapshot = availableIds.has(giftId) ? null : this._getKnownSnapshot(giftId);
+
+                if (snapshot && !snapshot.delisted) {
+                    this.giftsMap.delete(giftId);
+                    this.catalogSnapshots.set(giftId, { ...snapshot, delisted: true });
+                    changes.set(giftId, [delistedChange(snapshot)]);
+                }
+            }
+        }
+
+        for (const giftChanges of changes.values()) {
+            for (const change of giftChanges) {
+                this.logger.warning(describeGiftChange(change), { type: change.type, from: change.from, to: change.to });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Evaluate the purchase rules that fire on changes of known gifts
+     * @param {Map<string, Array<Object>>} changes - Change events by gift ID
+     * @param {Array<Object>} newGifts - New gifts of the same check, already evaluated
+     * @param {Map<string, Object>} decisions - Purchase decisions by gift ID, extended in place
+     * @returns {Array<Object>} Changed gifts a rule decided to buy
+     * @private
+     */
+    _evaluateGiftChanges(changes, newGifts, decisions) {
+        const changedGifts = [];
+
+        for (const [giftId, giftChanges] of changes) {
+            const gift = this.giftsMap.get(giftId);
+
+            if (!gift || decisions.has(giftId) || newGifts.includes(gift)) {
+                continue;
+            }
+
+            const decision = this.purchasePolicy.evaluate(gift, giftChanges);
+            if (decision) {
+                decisions.set(giftId, decision);
+                changedGifts.push(gift);
+                this._logPurchaseDecision(gift, decision);
+            }
+        }
+
+        return changedGifts;
+    }
+
+    /**
+     * Record the remaining supply of limited gifts and report the alert thresholds they reached
+     * @param {Array<Object>} gifts - Gift objects returned by getStarGiftOptions
+     * @param {number} at - Time of the check
+     * @private
+     */
+    _trackSupply(gifts, at) {
+        let alerts;
+
+        try {
+            alerts = this.supplyTracker.record(gifts, at);
+        } catch (error) {
+            this.logger.error('Error tracking gift supply:', error);
+            return;
+        }
+
+        for (const { threshold, stats } of alerts) {
+            const gift = `${stats.title} (ID: ${stats.giftId})`;
+            const data = {
+                remains: stats.remains,
+                total: stats.total,
+                velocityPerMinute: stats.velocityPerMinute !== null ? Number(stats.velocityPerMinute.toFixed(2)) : null
+            };
+
+            if (stats.remains === 0) {
+                this.logger.child({ event: EVENTS.SOLD_OUT, giftId: String(stats.giftId) }).warning(`Gift ${gift} sold out`, data);
+                continue;
+            }
+
+            let message = `Gift ${gift} is down to ${threshold}% of its supply: ${stats.remains}/${stats.total} left`;
+
+            if (stats.soldOutInMs !== null) {
+                message += `, projected to sell out in ~${Math.ceil(stats.soldOutInMs / 60000)} min`;
+            }
+
+            this.logger.warning(message, data);
+        }
+    }
+
+    /**
+     * Log which purchase rule matched a new gift
+     * @private
+     * @param {Object} gift - Gift object
+     * @param {Object|null} decision - Purchase decision returned by the purchase policy
+     */
+    _logPurchaseDecision(gift, decision) {
+        if (!decision) {
+            this.logger.info(`No purchase rule matched gift ${gift.title} (ID: ${gift.id})`);
+            return;
+        }
+
+        if (!this.config.autoBuyEnabled) {
+            this.logger.info(`Gift ${gift.title} (ID: ${gift.id}) matched ${decision.explanation}, but auto-buy is disabled`);
+            return;
+        }
+
+        this.logger.warning(`Gift ${gift.title} (ID: ${gift.id}) matched ${decision.explanation}`);
+    }
+
+    /**
+     * Compare gifts by purchase order: higher rule priority first, then lower total supply
+     * @private
+     * @param {Object} a - Gift object
+     * @param {Object} b - Gift object
+     * @param {Map<string, Object>} decisions - Purchase decisions by gift ID
+     * @returns {number}
+     */
+    _comparePurchaseOrder(a, b, decisions) {
+        const priorityA = decisions.get(a.id.toString())?.priority || 0;
+        const priorityB = decisions.get(b.id.toString())?.priority || 0;
+
+        if (priorityA !== priorityB) {
+            return priorityB - priorityA;
+        }
+
+        return (a.availability?.total || 10000000) - (b.availability?.total || 10000000);
+    }
+
     /**
      * Purchase gifts using all available clients
      * @param {Array|string} giftsOrGiftId - Array of gift objects or a single gift ID
      * @param {number} [quantity=0] - Number of gifts to purchase (0 means all available)
      * @param {boolean} [isManual=false] - Whether the purchase was triggered manually
-     * @returns {Promise<void>}
+     * @param {Map<string, Object>} [decisions] - Purchase decisions by gift ID, defining quantity and allowed accounts per gift
+     * @param {Array<string>|null} [accounts] - Phone numbers of the accounts that buy, null for all accounts
+     * @returns {Promise<{attempted: number, succeeded: number, elapsedMs: number}|null>} Result of the purchase run,
+     *   null if there was nothing to purchase
      */
-    async purchaseGiftsWithAllClients(giftsOrGiftId, quantity = 0, isManual = false) {
-        const clients = this.clientManager.getAllClients();
+    async purchaseGiftsWithAllClients(giftsOrGiftId, quantity = 0, isManual = false, decisions = null, accounts = null) {
         let gifts = [];
 
         // Handle both array of gifts and single gift ID
@@ -124,7 +511,7 @@ class GiftService {
             
             if (!gift) {
                 this.logger.error(`Gift with ID ${giftId} not found in cache`);
-                return;
+                return null;
             }
             
             gifts = [gift];
@@ -132,28 +519,98 @@ class GiftService {
 
         if (gifts.length === 0) {
             this.logger.warning('No gifts to purchase');
-            return;
+            return null;
         }
 
-        for (const giftOption of gifts) {
-            const purchasePromises = [];
+        const plan = this._planPurchases(gifts, quantity, decisions, accounts);
+        const batches = [];
 
+        // Every account works through the gifts in plan order on its own, so the first gifts are bought first everywhere
+        for (const { giftOption, decision, allocations } of plan) {
             this.logger.warning(
                 `Starting purchase attempts for gift: ${giftOption.title} (ID: ${giftOption.id})`,
                 {
                     gift: giftOption,
-                    quantity: quantity > 0 ? quantity : 'all available'
+                    quantity: quantity > 0 ? quantity : (decision ? decision.quantity : 'all available'),
+                    rule: decision ? decision.rule : null
                 }
             );
 
-            const maxGiftsToBuy = quantity || this.config.maxGiftsToBuy || 1;
+            for (const [client, units] of allocations) {
+                const batch = this._createPurchaseBatch(client, giftOption, units, isManual, decision);
+
+                if (batch) {
+                    batches.push(batch);
+                }
+            }
+        }
+
+        return this.purchaseScheduler.run(batches);
+    }
+
+    /**
+     * Split the stars balance of every account between the gifts to purchase.
+     * Gifts are expected in purchase order, so the highest-priority gifts get the budget first
+     * @private
+     * @param {Array<Object>} gifts - Gift objects in purchase order
+     * @param {number} quantity - Requested quantity per account (0 means the rule or config default)
+     * @param {Map<string, Object>|null} decisions - Purchase decisions by gift ID
+     * @param {Array<string>|null} [accounts] - Phone numbers of the accounts that buy, null for all accounts
+     * @returns {Array<{giftOption: Object, decision: Object|null, allocations: Map<Object, number>}>}
+     */
+    _planPurchases(gifts, quantity, decisions, accounts = null) {
+        const clients = this.clientManager.getAllClients()
+            .filter(client => !accounts || accounts.includes(this.clientManager.clientsMap.get(client).phoneNumber));
+        const reserved = new Map(); // client -> stars reserved for earlier gifts in the plan
+        const plan = [];
+
+        for (const giftOption of gifts) {
+            const decision = decisions ? decisions.get(giftOption.id.toString()) : null;
+            const requestedUnits = quantity || (decision && decision.quantity) || this.config.maxGiftsToBuy || 1;
+            const giftClients = decision && decision.accounts
+                ? clients.filter(client => decision.accounts.includes(this.clientManager.clientsMap.get(client).phoneNumber))
+                : clients;
+
+            const allocations = new Map();
+
+            for (const client of giftClients) {
+                const account = this.clientManager.clientsMap.get(client);
+                const price = this._getUnitPrice(giftOption, this._resolveDelivery(account, decision));
+                const reservedStars = reserved.get(client) || 0;
+                const affordableUnits = this.balanceTracker.affordableUnits(client, price, reservedStars);
 
-            for (const client of clients) {
-                purchasePromises.push(this.purchaseGift(client, giftOption, maxGiftsToBuy, isManual));
+                if (affordableUnits === null) {
+                    this.logger.info(`Stars balance of ${account.phoneNumber} is unknown, planning ${requestedUnits} unit(s) of ${giftOption.title}`);
+                    allocations.set(client, requestedUnits);
+                    continue;
+                }
+
+                const units = Math.min(requestedUnits, affordableUnits);
+
+                if (units === 0) {
+                    this.logger.warning(
+                        `Skipping ${giftOption.title} (ID: ${giftOption.id}) for ${account.phoneNumber}: not enough stars`,
+                        {
+                            balance: this.balanceTracker.getBalance(client),
+                            reserved: reservedStars,
+                            price
+                        }
+                    );
+                    continue;
+                }
+
+                if (units < requestedUnits) {
+                    this.logger.info(`${account.phoneNumber} can afford ${units} of ${requestedUnits} unit(s) of ${giftOption.title} at ${price} ⭐️`);
+                }
+
+                reserved.set(client, reservedStars + units * price);
+                allocations.set(client, units);
             }
 
-            await Promise.allSettled(purchasePromises);
+            plan.push({ giftOption, decision, allocations });
         }
+
+        return plan;
     }
 
     /**
@@ -162,73 +619,239 @@ class GiftService {
      * @param {Object} giftOption
      * @param {number} [quantity=1] - Number of gifts to purchase with this client
      * @param {boolean} [isManual=false] - Whether this purchase was triggered manually
+     * @param {Object|null} [decision] - Purchase decision of the matched rule, null for manual purchases
      * @returns {Promise<void>}
      */
-    async purchaseGift(client, giftOption, quantity = 1, isManual = false) {
+    async purchaseGift(client, giftOption, quantity = 1, isManual = false, decision = null) {
+        const batch = this._createPurchaseBatch(client, giftOption, quantity, isManual, decision);
+
+        if (batch) {
+            await this.purchaseScheduler.run([batch]);
+        }
+    }
+
+    /**
+     * Get the number of units an account may have in flight at once
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @returns {number}
+     * @private
+     */
+    _getPurchaseConcurrency(client) {
+        const account = this.clientManager.clientsMap.get(client);
+        return (account && account.purchaseConcurrency) || this.config.purchaseConcurrency || 1;
+    }
+
+    /**
+     * Prepare the purchase of a gift with one client as a batch for the purchase scheduler
+     * @private
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @param {Object} giftOption
+     * @param {number} quantity - Number of gifts to purchase with this client
+     * @param {boolean} isManual - Whether this purchase was triggered manually
+     * @param {Object|null} decision - Purchase decision of the matched rule, null for manual purchases
+     * @returns {Object|null} Purchase batch, or null if the purchase could not be prepared
+     */
+    _createPurchaseBatch(client, giftOption, quantity, isManual, decision) {
         try {
             const me = this.clientManager.getUserInfo(client);
-            const targetPeerId = this.clientManager.getTargetPeerId(client, isManual);
+            const account = this.clientManager.clientsMap.get(client);
             const userIdentifier = me.username || me.id;
+            const delivery = this._resolveDelivery(account, decision);
+            const dryRun = this.config.dryRun;
+            const purchaseId = crypto.randomBytes(4).toString('hex');
+            const purchase = {
+                purchaseId,
+                // Tags every log line of this purchase, lets the file log be filtered by purchase
+                logger: this.logger.child({ account: account.phoneNumber, giftId: giftOption.id.toString(), purchaseId }),
+                client,
+                account,
+                me,
+                userIdentifier,
+                giftOption,
+                giftId: giftOption.id.toString(),
+                delivery,
+                withUpgrade: delivery.withUpgrade && giftOption.upgradeStars != null,
+                price: this._getUnitPrice(giftOption, delivery),
+                isManual,
+                decision,
+                dryRun,
+                spendingTracker: dryRun ? this.dryRunSpendingTracker : this.spendingTracker,
+                successCount: 0,
+                failureCount: 0,
+                deliveries: new Map(), // peer -> units delivered in this purchase
+                receivedGifts: [] // units delivered in this purchase, candidates for the auto-upgrade
+            };
 
-            this.logger.warning(
-                `Attempting to purchase ${quantity} gift(s) with account ${userIdentifier} for peer ${targetPeerId}...`,
+            purchase.logger.warning(
+                `Attempting to purchase ${quantity} gift(s) with account ${userIdentifier}...`,
                 {
                     gift: giftOption.title,
                     giftId: giftOption.id,
                     quantity: quantity,
                     user: userIdentifier,
-                    peerId: targetPeerId
+                    distribution: isManual && account.manualPeerId ? 'manual' : account.distribution,
+                    anonymous: delivery.anonymous,
+                    withUpgrade: purchase.withUpgrade,
+                    concurrency: this._getPurchaseConcurrency(client)
                 }
             );
 
-            const maxAttempts = 50;
-            const nonRetryableErrors = [
-                'USAGE_LIMITED',
-                'PREMIUM',
-                'BALANCE_TOO_LOW',
-                'is not found in local cache',
-            ];
-
-            let successCount = 0;
-            let failureCount = 0;
-            
-            for (let i = 0; i < quantity; i++) {
-                const result = await this._attemptGiftPurchase(
-                    client,
-                    giftOption,
-                    targetPeerId,
-                    userIdentifier,
-                    maxAttempts,
-                    nonRetryableErrors
-                );
-                
-                if (result.success) {
-                    successCount++;
-                } else {
-                    failureCount++;
-                    
-                    if (result.shouldStopRetrying) {
-                        this.logger.warning(
-                            `Stopping further gift purchases with account ${userIdentifier} due to non-retryable error`,
-                            { error: result.lastError?.message }
-                        );
-                        break;
-                    }
-                }
+            if (delivery.withUpgrade && !purchase.withUpgrade) {
+                this.logger.info(`Gift ${giftOption.title} (ID: ${giftOption.id}) cannot be upgraded, buying it without a prepaid upgrade`);
             }
-            
-            this.logger.info(
-                `Gift purchase summary for account ${userIdentifier}: ${successCount} successful, ${failureCount} failed`,
+
+            return {
+                lane: client,
+                label: account.phoneNumber,
+                gift: purchase.giftId,
+                units: quantity,
+                runUnit: () => this._purchaseUnit(purchase),
+                finish: () => this._finishPurchase(purchase)
+            };
+        } catch (error) {
+            this.logger.error('Error in purchaseGift:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Purchase one unit of a gift batch
+     * @private
+     * @param {Object} purchase - Purchase state created by _createPurchaseBatch
+     * @returns {Promise<{success: boolean, attempted: boolean, stop: boolean}>}
+     */
+    async _purchaseUnit(purchase) {
+        const { client, account, me, userIdentifier, giftOption, giftId, delivery, withUpgrade, price, isManual, dryRun, spendingTracker, logger } = purchase;
+
+        const limitCheck = spendingTracker.check(account, giftId, price);
+        if (!limitCheck.allowed) {
+            logger.warning(
+                `Stopping further gift purchases with account ${userIdentifier}: ${limitCheck.reason}`,
                 {
                     gift: giftOption.title,
                     giftId: giftOption.id,
                     user: userIdentifier,
-                    successCount,
-                    failureCount
+                    successCount: purchase.successCount
                 }
             );
+            return { success: false, attempted: false, stop: true };
+        }
+
+        const sendOptions = {
+            anonymous: delivery.anonymous,
+            message: delivery.message
+                ? renderGiftMessage(delivery.message, { gift: giftOption, account: account.phoneNumber, user: me })
+                : null,
+            withUpgrade
+        };
+        // The recipient slot is held until the unit settles, so concurrent units do not overfill a recipient
+        const targetPeerId = this.clientManager.getTargetPeerId(client, isManual, giftId, dryRun);
+
+        // Units in flight count against the spending caps until they settle
+        spendingTracker.reserve(account.phoneNumber, giftId, price);
+
+        let result;
+        try {
+            result = await this._attemptGiftPurchase(
+                client,
+                giftOption,
+                targetPeerId,
+                userIdentifier,
+                MAX_PURCHASE_ATTEMPTS,
+                NON_RETRYABLE_ERRORS,
+                dryRun,
+                sendOptions,
+                logger
+            );
         } catch (error) {
-            this.logger.error('Error in purchaseGift:', error);
+            // Settled as a failed unit, so it is still written to the ledger
+            logger.error(`Unexpected error purchasing gift with account ${userIdentifier}:`, error);
+            result = { success: false, attempt: 0, lastError: error, shouldStopRetrying: false };
+        } finally {
+            spendingTracker.release(account.phoneNumber, giftId, price);
+        }
+
+        if (!result.success) {
+            this.clientManager.releaseTargetPeerId(client, giftId, targetPeerId, isManual, dryRun);
+        }
+
+        this.ledger.record({
+            purchaseId: purchase.purchaseId,
+            status: result.success ? 'success' : 'failed',
+            account: account.phoneNumber,
+            user: String(userIdentifier),
+            peerId: String(targetPeerId),
+            giftId,
+            giftTitle: giftOption.title,
+            stars: result.success ? price : 0,
+            attempts: result.attempt,
+            error: result.success ? null : (result.lastError?.message || null),
+            anonymous: sendOptions.anonymous,
+            prepaidUpgrade: withUpgrade,
+            manual: isManual,
+            dryRun
+        });
+
+        if (result.success) {
+            purchase.successCount++;
+            spendingTracker.record(account.phoneNumber, giftId, price);
+
+            if (!dryRun) {
+                this.balanceTracker.deduct(client, price);
+                metrics.inc('gifts_stars_spent_total', { account: account.phoneNumber, kind: 'purchase' }, price);
+            }
+
+            this.clientManager.recordDelivery(client, giftId, targetPeerId, isManual, dryRun);
+            purchase.deliveries.set(String(targetPeerId), (purchase.deliveries.get(String(targetPeerId)) || 0) + 1);
+            purchase.receivedGifts.push({ peerId: targetPeerId, message: result.message, prepaid: withUpgrade });
+            return { success: true, attempted: true, stop: false };
+        }
+
+        purchase.failureCount++;
+
+        if (result.shouldStopRetrying) {
+            logger.warning(
+                `Stopping further gift purchases with account ${userIdentifier} due to non-retryable error`,
+                { error: result.lastError?.message }
+            );
+        }
+
+        return { success: false, attempted: true, stop: !!result.shouldStopRetrying };
+    }
+
+    /**
+     * Report a finished gift batch, upgrade the received gifts and refresh the balance
+     * @private
+     * @param {Object} purchase - Purchase state created by _createPurchaseBatch
+     * @returns {Promise<void>}
+     */
+    async _finishPurchase(purchase) {
+        const { client, account, me, userIdentifier, giftOption, price, deliveries, successCount, failureCount } = purchase;
+
+        purchase.logger.info(
+            `Gift purchase summary for account ${userIdentifier}: ${successCount} successful, ${failureCount} failed` +
+            (deliveries.size > 0 ? ` (${this._formatDeliveries(deliveries)})` : ''),
+            {
+                gift: giftOption.title,
+                giftId: giftOption.id,
+                user: userIdentifier,
+                successCount,
+                failureCount,
+                recipients: Object.fromEntries(deliveries)
+            }
+        );
+
+        const autoUpgrade = purchase.decision && purchase.decision.autoUpgrade;
+
+        if (purchase.dryRun) {
+            this._reportDryRunSummary(giftOption, successCount, price, deliveries, userIdentifier, account, !!autoUpgrade);
+        } else if (successCount > 0 || failureCount > 0) {
+            if (autoUpgrade && purchase.receivedGifts.length > 0) {
+                await this._upgradeReceivedGifts(client, account, me, giftOption, purchase.receivedGifts, autoUpgrade);
+            }
+
+            // Refresh in the background so the next gift in the queue is not delayed
+            this.balanceTracker.refresh(client);
         }
     }
 
@@ -237,43 +860,114 @@ class GiftService {
      * @private
      * @param {import('@mtcute/node').TelegramClient} client
      * @param {Object} giftOption
-     * @param {number} targetPeerId
+     * @param {BigInt|string} targetPeerId - Peer ID or @username of the recipient
      * @param {string} userIdentifier
      * @param {number} maxAttempts
      * @param {string[]} nonRetryableErrors
-     * @returns {Object} Result object containing success status, attempts, and error info
+     * @param {boolean} [dryRun=false] - Simulate the purchase without calling sendStarGift
+     * @param {Object} [sendOptions] - How the gift is sent
+     * @param {boolean} [sendOptions.anonymous=true] - Hide the sender from the recipient
+     * @param {string|null} [sendOptions.message] - Message attached to the gift
+     * @param {boolean} [sendOptions.withUpgrade=false] - Pay for the upgrade to a collectible up front
+     * @param {import('./logger').Logger} [logger] - Logger of the purchase, attempts are logged as the purchaseAttempts component
+     * @returns {Object} Result object containing success status, attempts, error info and the service message of the sent gift
      */
-    async _attemptGiftPurchase(client, giftOption, targetPeerId, userIdentifier, maxAttempts, nonRetryableErrors) {
+    async _attemptGiftPurchase(client, giftOption, targetPeerId, userIdentifier, maxAttempts, nonRetryableErrors, dryRun = false, sendOptions = {}, logger = this.logger) {
+        const attemptLogger = logger.child({ component: COMPONENTS.PURCHASE_ATTEMPTS });
         let attempt = 0;
         let success = false;
         let lastError = null;
         let shouldStopRetrying = false;
+        let message = null;
+
+        if (dryRun) {
+            attemptLogger.info(
+                `[DRY RUN] Skipping sendStarGift for user ${userIdentifier}`,
+                {
+                    gift: giftOption.title,
+                    giftId: giftOption.id,
+                    user: userIdentifier,
+                    peerId: targetPeerId,
+                    ...sendOptions
+                }
+            );
+
+            return {
+                success: true,
+                attempt: 0,
+                lastError,
+                shouldStopRetrying,
+                message
+            };
+        }
+
+        const account = this.clientManager.clientsMap.get(client).phoneNumber;
 
         while (attempt < maxAttempts && !success && !shouldStopRetrying) {
             attempt++;
+            metrics.inc('gifts_purchase_attempts_total', { account });
             try {
-                await client.sendStarGift({
-                    peerId: Number(targetPeerId),
+                message = await client.sendStarGift({
+                    peerId: typeof targetPeerId === 'bigint' ? Number(targetPeerId) : targetPeerId,
                     gift: giftOption,
-                    anonymous: true,
+                    anonymous: sendOptions.anonymous !== false,
+                    ...(sendOptions.message ? { message: sendOptions.message } : {}),
+                    ...(sendOptions.withUpgrade ? { withUpgrade: true } : {})
                 });
 
                 success = true;
-                this.logger.success(
-                    `Gift purchase successful for user ${userIdentifier} on attempt ${attempt}`,
+                metrics.inc('gifts_purchase_successes_total', { account });
+                attemptLogger.child({ event: EVENTS.PURCHASE_SUCCESS }).success(
+                    `Gift purchase successful for user ${userIdentifier} on attempt ${attempt}, sent to peer ${targetPeerId}`,
                     {
                         gift: giftOption,
                         giftId: giftOption.id,
                         attempt,
-                        user: userIdentifier
+                        user: userIdentifier,
+                        peerId: targetPeerId
                     }
                 );
             } catch (err) {
                 lastError = err;
+                metrics.inc('gifts_purchase_failures_total', { account, error: this._getErrorType(err) });
+
+                const floodWaitSeconds = getFloodWaitSeconds(err);
+                if (floodWaitSeconds !== null) {
+                    const maxWaitSeconds = this.config.floodWait.maxPurchaseWaitSeconds;
+
+                    if (floodWaitSeconds > maxWaitSeconds) {
+                        shouldStopRetrying = true;
+                        attemptLogger.error(
+                            `Gift purchase rate limited for user ${userIdentifier}: Telegram asked to wait ${floodWaitSeconds}s, ` +
+                            `more than the allowed ${maxWaitSeconds}s. Stopping attempts.`,
+                            {
+                                gift: giftOption.title,
+                                giftId: giftOption.id,
+                                user: userIdentifier,
+                                seconds: floodWaitSeconds
+                            }
+                        );
+                        break;
+                    }
+
+                    attemptLogger.warning(
+                        `Gift purchase rate limited for user ${userIdentifier}: waiting ${floodWaitSeconds}s as requested by Telegram`,
+                        {
+                            gift: giftOption.title,
+                            giftId: giftOption.id,
+                            attempt,
+                            user: userIdentifier,
+                            seconds: floodWaitSeconds
+                        }
+                    );
+
+                    await new Promise(resolve => setTimeout(resolve, floodWaitSeconds * 1000));
+                    continue;
+                }
 
                 shouldStopRetrying = this._shouldStopRetrying(err, nonRetryableErrors);
                 if (shouldStopRetrying) {
-                    this.logger.error(
+                    attemptLogger.error(
                         `Gift purchase failed: ${err.message} for user ${userIdentifier}. Stopping attempts.`,
                         {
                             gift: giftOption,
@@ -284,7 +978,7 @@ class GiftService {
                     break;
                 }
 
-                this.logger.info(
+                attemptLogger.info(
                     `Gift purchase attempt ${attempt}/${maxAttempts} failed for ${userIdentifier}: ${err.message}`,
                     {
                         gift: giftOption.title,
@@ -305,10 +999,27 @@ class GiftService {
             success,
             attempt,
             lastError,
-            shouldStopRetrying
+            shouldStopRetrying,
+            message
         };
     }
 
+    /**
+     * Get a low-cardinality error type for metrics, e.g. BALANCE_TOO_LOW or FLOOD_WAIT_X
+     * @private
+     * @param {Error} error
+     * @returns {string}
+     */
+    _getErrorType(error) {
+        const text = error && (error.text || (/^[A-Z][A-Z0-9_]+$/.test(error.message) ? error.message : null));
+
+        if (text) {
+            return text.replace(/_\d+$/, '_X');
+        }
+
+        return (error && error.name) || 'Error';
+    }
+
     /**
      * Determines if retry attempts should be stopped based on error message
      * @private
@@ -327,36 +1038,111 @@ class GiftService {
     }
 
     /**
-     * Logs the result of gift purchase attempts
+     * Upgrade the gifts an account has just bought into collectibles and report the result
      * @private
-     * @param {Object} result
+     * @param {import('@mtcute/node').TelegramClient} client
+     * @param {Object} account - Account configuration
+     * @param {Object} me - User info of the account
      * @param {Object} giftOption
-     * @param {string} userIdentifier
+     * @param {Array<Object>} receivedGifts - Units delivered by the purchase
+     * @param {{maxStars: number|null, keepOriginalDetails: boolean}} autoUpgrade - Auto-upgrade settings of the matched rule
+     * @returns {Promise<void>}
      */
-    _logPurchaseResult(result, giftOption, userIdentifier) {
-        const {success, attempt, lastError, shouldStopRetrying} = result;
+    async _upgradeReceivedGifts(client, account, me, giftOption, receivedGifts, autoUpgrade) {
+        try {
+            const result = await this.giftUpgrader.upgradeReceived(client, account, me, giftOption, receivedGifts, autoUpgrade);
 
-        if (success) {
-            this.logger.success(
-                `Gift purchase completed for ${userIdentifier} after ${attempt} attempts`,
+            this.logger.info(
+                `Auto-upgrade summary for account ${account.phoneNumber}: ${result.upgrades.length} upgraded, ` +
+                `${result.skipped} skipped, ${result.stars} ⭐️ spent`,
                 {
                     gift: giftOption.title,
                     giftId: giftOption.id,
-                    attempts: attempt,
-                    user: userIdentifier
-                },
-            );
-        } else if (!shouldStopRetrying) {
-            this.logger.error(
-                `All ${attempt} gift purchase attempts failed for user ${userIdentifier}`,
-                {
-                    gift: giftOption,
-                    giftId: giftOption.id,
-                    attempts: attempt,
-                    user: userIdentifier,
-                    error: lastError
+                    collectibles: result.upgrades.map(upgrade => upgrade.num)
                 }
             );
+
+            if (this.telegramController && (result.upgrades.length > 0 || result.skipped > 0)) {
+                this.telegramController.sendUpgradeReport(giftOption, account.phoneNumber, result)
+                    .catch(error => this.logger.error('Error sending upgrade report:', error));
+            }
+        } catch (error) {
+            this.logger.error('Error upgrading purchased gifts:', error);
+        }
+    }
+
+    /**
+     * Resolve how a gift is sent: purchase rule settings override account settings,
+     * which override the defaults
+     * @private
+     * @param {Object} account - Account configuration
+     * @param {Object|null} decision - Purchase decision of the matched rule
+     * @returns {{anonymous: boolean, message: string|null, withUpgrade: boolean}}
+     */
+    _resolveDelivery(account, decision) {
+        return {
+            ...DEFAULT_DELIVERY,
+            ...account.delivery,
+            ...(decision && decision.delivery)
+        };
+    }
+
+    /**
+     * Get the stars one unit of a gift costs, including a prepaid upgrade
+     * @private
+     * @param {Object} giftOption
+     * @param {{withUpgrade: boolean}} delivery - Resolved delivery settings
+     * @returns {number}
+     */
+    _getUnitPrice(giftOption, delivery) {
+        const price = Number(giftOption.purchaseStars) || 0;
+
+        if (delivery.withUpgrade && giftOption.upgradeStars != null) {
+            return price + Number(giftOption.upgradeStars);
+        }
+
+        return price;
+    }
+
+    /**
+     * Format units delivered per recipient, e.g. "-100123 × 3, @channel × 2"
+     * @private
+     * @param {Map<string, number>} deliveries - Units per recipient peer
+     * @returns {string}
+     */
+    _formatDeliveries(deliveries) {
+        return [...deliveries].map(([peer, units]) => `${peer} × ${units}`).join(', ');
+    }
+
+    /**
+     * Log and notify what a simulated purchase would have bought
+     * @private
+     * @param {Object} giftOption
+     * @param {number} units - Number of units that would have been bought
+     * @param {number} price - Stars per unit, including a prepaid upgrade
+     * @param {Map<string, number>} deliveries - Units per recipient peer
+     * @param {string} userIdentifier
+     * @param {Object} account - Account configuration
+     * @param {boolean} [autoUpgrade=false] - Whether the bought units would be upgraded into collectibles
+     */
+    _reportDryRunSummary(giftOption, units, price, deliveries, userIdentifier, account, autoUpgrade = false) {
+        const summary = `[DRY RUN] Would have bought ${units} × gift ${giftOption.title} (ID: ${giftOption.id}) ` +
+            `for ${deliveries.size > 0 ? 'peer ' + this._formatDeliveries(deliveries) : 'no peer'} ` +
+            `with account ${userIdentifier} (${account.phoneNumber})` +
+            (autoUpgrade && units > 0 ? ' and upgrade them into collectibles' : '');
+
+        this.logger.warning(summary, {
+            gift: giftOption.title,
+            giftId: giftOption.id,
+            units,
+            stars: units * price,
+            user: userIdentifier,
+            recipients: Object.fromEntries(deliveries)
+        });
+
+        if (this.telegramController) {
+            this.telegramController.sendNotice(`🧪 ${this.telegramController.escapeHtml(summary)}`)
+                .catch(error => this.logger.error('Error sending dry run summary:', error));
         }
     }
 
@@ -364,9 +1150,10 @@ class GiftService {
      * Notify about a new gift via Telegram controller
      * Sends notifications asynchronously to both regular and public channels (if configured)
      * @param {Object} gift - Gift object
+     * @param {Object|null} [decision] - Purchase decision returned by the purchase policy
      * @returns {Promise<void>}
      */
-    async notifyNewGift(gift) {
+    async notifyNewGift(gift, decision = null) {
         if (!this.telegramController) {
             return;
         }
@@ -374,7 +1161,7 @@ class GiftService {
         try {
             this.logger.info(`Sending notification for new gift: ${gift.title} (ID: ${gift.id})`);
             
-            const regularChannelPromise = this.telegramController.sendGiftSticker(gift)
+            const regularChannelPromise = this.telegramController.sendGiftSticker(gift, false, decision)
                 .then(result => {
                     if (!result.ok) {
                         this.logger.error(`Failed to send gift notification: ${result.error}`);
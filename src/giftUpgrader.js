@@ -0,0 +1,190 @@
+const { metrics } = require('./metricsRegistry');
+
+/**
+ * Upgrades freshly purchased gifts into unique collectibles.
+ *
+ * Only gifts the account can manage are upgraded: gifts sent to channels and groups
+ * (addressed by their saved ID) and gifts the account sent to itself.
+ * Gifts sent to other users can only be upgraded by their recipients and are skipped.
+ */
+class GiftUpgrader {
+    /**
+     * @param {import('./balanceTracker')} balanceTracker - Balance tracker instance
+     * @param {import('./spendingTracker')} spendingTracker - Spending tracker instance
+     * @param {import('./purchaseLedger')} ledger - Purchase ledger instance
+     * @param {import('./logger').Logger} logger - Logger instance
+     */
+    constructor(balanceTracker, spendingTracker, ledger, logger) {
+        this.balanceTracker = balanceTracker;
+        this.spendingTracker = spendingTracker;
+        this.ledger = ledger;
+        this.logger = logger;
+    }
+
+    /**
+     * Build the reference to a received gift accepted by upgradeStarGift
+     * @param {Object} received - Received gift
+     * @param {Object} me - User info of the account
+     * @returns {Object|null} InputStarGift, or null if the account cannot upgrade the gift
+     * @private
+     */
+    _getInputGift(received, me) {
+        const action = received.message && received.message.action;
+
+        if (action && action.savedId != null) {
+            return { owner: received.peerId, savedId: action.savedId };
+        }
+
+        if (received.message && String(received.peerId) === String(me.id)) {
+            return { message: received.message };
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe an upgraded collectible from the service message returned by upgradeStarGift
+     * @param {Object|null} message - Service message
+     * @returns {{num: number, title: string, slug: string, model: string|null, pattern: string|null, backdrop: string|null}|null}
+     * @private
+     */
+    _describeCollectible(message) {
+        const gift = message && message.action && message.action.gift;
+
+        if (!gift || !gift.isUnique) {
+            return null;
+        }
+
+        const attribute = value => value ? `${value.name} (${value.permille / 10}%)` : null;
+
+        return {
+            num: gift.num,
+            title: gift.title,
+            slug: gift.slug,
+            model: attribute(gift.model),
+            pattern: attribute(gift.pattern),
+            backdrop: attribute(gift.backdrop)
+        };
+    }
+
+    /**
+     * Upgrade the units of a gift an account has just received, as far as the star budget allows
+     * @param {import('@mtcute/node').TelegramClient} client - Client that bought the gifts
+     * @param {Object} account - Account configuration
+     * @param {Object} me - User info of the account
+     * @param {Object} giftOption - Purchased gift
+     * @param {Array<{peerId: BigInt|string, message: Object|null, prepaid: boolean}>} receivedGifts - Units delivered by this purchase
+     * @param {{maxStars: number|null, keepOriginalDetails: boolean}} options - Auto-upgrade settings of the matched rule
+     * @returns {Promise<{upgrades: Array<Object>, skipped: number, stars: number}>} Upgraded collectibles and stars spent
+     */
+    async upgradeReceived(client, account, me, giftOption, receivedGifts, options) {
+        const giftId = giftOption.id.toString();
+        const upgradePrice = giftOption.upgradeStars != null ? Number(giftOption.upgradeStars) : null;
+        const upgrades = [];
+        let skipped = 0;
+        let stars = 0;
+
+        if (upgradePrice === null) {
+            this.logger.info(`Gift ${giftOption.title} (ID: ${giftId}) cannot be upgraded, skipping auto-upgrade`);
+            return { upgrades, skipped: receivedGifts.length, stars };
+        }
+
+        const balance = await this.balanceTracker.refresh(client);
+        let budget = Math.min(
+            options.maxStars ?? Infinity,
+            balance ?? Infinity
+        );
+
+        for (let i = 0; i < receivedGifts.length; i++) {
+            const received = receivedGifts[i];
+            const price = received.prepaid ? 0 : upgradePrice;
+            const inputGift = this._getInputGift(received, me);
+
+            if (!inputGift) {
+                this.logger.info(`Gift ${giftOption.title} sent to ${received.peerId} can only be upgraded by its recipient, skipping`);
+                skipped++;
+                continue;
+            }
+
+            if (price > budget) {
+                this.logger.info(
+                    `Auto-upgrade budget of ${account.phoneNumber} exhausted for ${giftOption.title}: ` +
+                    `${price} ⭐️ needed, ${budget} ⭐️ left`
+                );
+                skipped += receivedGifts.length - i;
+                break;
+            }
+
+            const limitCheck = this.spendingTracker.check(account, giftId, price, 0);
+            if (!limitCheck.allowed) {
+                this.logger.warning(`Stopping auto-upgrade with account ${account.phoneNumber}: ${limitCheck.reason}`);
+                skipped += receivedGifts.length - i;
+                break;
+            }
+
+            try {
+                const message = await client.upgradeStarGift({
+                    gift: inputGift,
+                    keepOriginalDetails: options.keepOriginalDetails
+                });
+                const collectible = this._describeCollectible(message) || { num: null, title: giftOption.title, slug: null };
+
+                budget -= price;
+                stars += price;
+                this.spendingTracker.record(account.phoneNumber, giftId, price, 0);
+                metrics.inc('gifts_stars_spent_total', { account: account.phoneNumber, kind: 'upgrade' }, price);
+                upgrades.push({ ...collectible, peerId: String(received.peerId), stars: price });
+
+                this.logger.success(
+                    `Upgraded ${giftOption.title} into collectible #${collectible.num} for peer ${received.peerId}`,
+                    {
+                        account: account.phoneNumber,
+                        slug: collectible.slug,
+                        model: collectible.model,
+                        pattern: collectible.pattern,
+                        backdrop: collectible.backdrop,
+                        stars: price
+                    }
+                );
+
+                this._record(account, me, giftOption, received, 'success', price, null);
+            } catch (error) {
+                skipped++;
+                this.logger.error(`Failed to upgrade ${giftOption.title} for peer ${received.peerId}: ${error.message}`);
+                this._record(account, me, giftOption, received, 'failed', 0, error.message);
+            }
+        }
+
+        return { upgrades, skipped, stars };
+    }
+
+    /**
+     * Record an upgrade in the purchase ledger
+     * @param {Object} account - Account configuration
+     * @param {Object} me - User info of the account
+     * @param {Object} giftOption - Upgraded gift
+     * @param {{peerId: BigInt|string}} received - Received gift
+     * @param {string} status - success or failed
+     * @param {number} stars - Stars spent
+     * @param {string|null} error - Error message for failed upgrades
+     * @private
+     */
+    _record(account, me, giftOption, received, status, stars, error) {
+        this.ledger.record({
+            kind: 'upgrade',
+            status,
+            account: account.phoneNumber,
+            user: String(me.username || me.id),
+            peerId: String(received.peerId),
+            giftId: giftOption.id.toString(),
+            giftTitle: giftOption.title,
+            stars,
+            attempts: 1,
+            error,
+            manual: false,
+            dryRun: false
+        });
+    }
+}
+
+module.exports = GiftUpgrader;
@@ -0,0 +1,16 @@
+/**
+ * Error answered to an HTTP client with a status code
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message returned to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,87 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Timeout of an outgoing HTTP request
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Send a POST request with a JSON body
+ * @param {string} url - Request URL (http or https)
+ * @param {string} body - Serialized JSON body
+ * @param {Object<string, string>} [headers] - Additional request headers
+ * @returns {Promise<{status: number, headers: Object, body: string}>} Response
+ * @throws {Error} On network errors and timeouts
+ */
+function postJson(url, body, headers = {}) {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, res => {
+            let responseBody = '';
+
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                responseBody += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: responseBody }));
+            res.on('error', reject);
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+        });
+        req.on('error', reject);
+
+        req.write(body);
+        req.end();
+    });
+}
+
+/**
+ * Convert a webhook response into a delivery result for the notification outbox.
+ * 429 responses are retried after the delay the server asked for (Retry-After header or
+ * a retry_after field in seconds as Discord sends it), other 4xx responses are not retried
+ * @param {{status: number, headers: Object, body: string}} response - Response
+ * @returns {{ok: boolean, retryAfterSeconds?: number, permanent?: boolean, error?: string}}
+ */
+function toDeliveryResult(response) {
+    if (response.status >= 200 && response.status < 300) {
+        return { ok: true };
+    }
+
+    const error = `HTTP ${response.status} ${response.body.slice(0, 200)}`.trim();
+
+    if (response.status === 429) {
+        let retryAfter = Number(response.headers['retry-after']);
+
+        try {
+            const parsed = JSON.parse(response.body);
+            if (parsed && parsed.retry_after != null) {
+                retryAfter = Number(parsed.retry_after);
+            }
+        } catch (parseError) {
+            // Not a JSON body, the header is used
+        }
+
+        return { ok: false, retryAfterSeconds: Number.isFinite(retryAfter) ? retryAfter : 1, error };
+    }
+
+    return { ok: false, permanent: response.status >= 400 && response.status < 500, error };
+}
+
+module.exports = {
+    postJson,
+    toDeliveryResult
+};
@@ -0,0 +1,73 @@
+/**
+ * Serialization of log entries as flat JSON records, shared by the file log and the webhook sinks
+ */
+
+/**
+ * JSON replacer that writes BigInt values as strings, expands errors and cuts circular references.
+ * Only objects on the path from the root to the current value count as a cycle, so an object
+ * referenced twice in a payload is written twice
+ * @returns {Function} Replacer for JSON.stringify, one per serialized value
+ */
+function createReplacer() {
+    const ancestors = []; // { value, holder }: objects being serialized and what JSON.stringify walks for them
+
+    return function (key, value) {
+        const original = value;
+
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+
+        if (value instanceof Error) {
+            value = { name: value.name, message: value.message, stack: value.stack, ...value };
+        } else if (ArrayBuffer.isView(this[key])) {
+            // Checked on the holder: Buffer#toJSON has already turned `value` into {type, data}
+            return `<${this[key].byteLength} bytes>`;
+        }
+
+        if (value !== null && typeof value === 'object') {
+            // `this` is the object holding the value: everything serialized after it is finished
+            while (ancestors.length > 0 && ancestors[ancestors.length - 1].holder !== this) {
+                ancestors.pop();
+            }
+
+            if (ancestors.some(ancestor => ancestor.value === original)) {
+                return '[Circular]';
+            }
+
+            ancestors.push({ value: original, holder: value });
+        }
+
+        return value;
+    };
+}
+
+/**
+ * Serialize a log entry as a JSON record: timestamp, level, message, the context fields and the data
+ * @param {Object} entry - Log entry from the logger
+ * @param {number} [indent] - Indentation, the record is written on one line without it
+ * @returns {string} JSON record
+ */
+function stringifyLogRecord(entry, indent) {
+    return JSON.stringify({
+        timestamp: entry.timestamp.toISOString(),
+        level: entry.level,
+        message: entry.message,
+        ...entry.context,
+        data: entry.data === undefined ? null : entry.data
+    }, createReplacer(), indent);
+}
+
+/**
+ * Serialize the data of a log entry for a human-readable message
+ * @param {*} data - Data of a log entry
+ * @returns {string} Indented JSON
+ */
+function stringifyLogData(data) {
+    return JSON.stringify(data, createReplacer(), 2);
+}
+
+module.exports = {
+    stringifyLogRecord,
+    stringifyLogData
+};
@@ -13,6 +13,58 @@ class Logger {
         ERROR: 'ERROR'
     };
 
+    /**
+     * Severity of each level, entries below the minimum level of a sink are dropped.
+     * SUCCESS ranks above WARNING so that purchase results pass a WARNING minimum
+     * @type {Object<string, number>}
+     */
+    static SEVERITY = {
+        INFO: 0,
+        WARNING: 1,
+        SUCCESS: 2,
+        ERROR: 3
+    };
+
+    /**
+     * Components the application tags its log entries with, see child()
+     * @type {Object<string, string>}
+     */
+    static COMPONENTS = {
+        CLIENT_MANAGER: 'clientManager',
+        GIFT_SERVICE: 'giftService',
+        PURCHASE_ATTEMPTS: 'purchaseAttempts',
+        CONTROLLER: 'controller',
+        CONFIG_WATCHER: 'configWatcher',
+        METRICS: 'metrics',
+        ADMIN_API: 'adminApi',
+        NOTIFICATIONS: 'notifications'
+    };
+
+    /**
+     * Events the application tags its log entries with through the `event` context field,
+     * so notifications can be routed by what happened rather than by the message text
+     * @type {Object<string, string>}
+     */
+    static EVENTS = {
+        NEW_GIFT: 'newGift',
+        PURCHASE_SUCCESS: 'purchaseSuccess',
+        SOLD_OUT: 'soldOut',
+        ACCOUNT_DOWN: 'accountDown'
+    };
+
+    /**
+     * Name of the built-in console sink in the level settings
+     * @type {string}
+     */
+    static CONSOLE_SINK = 'console';
+
+    /**
+     * Fields of the data payload that are lifted into the entry context,
+     * so sinks can index entries by account, gift and purchase
+     * @type {Array<string>}
+     */
+    static CONTEXT_FIELDS = ['account', 'giftId', 'purchaseId'];
+
     /**
      * Create a new logger instance
      * @param {Object} options - Logger options
@@ -22,29 +74,101 @@ class Logger {
     constructor(options = {}) {
         this.showTimestamp = options.showTimestamp !== false;
         this.useConsole = options.useConsole !== false;
-        this.listeners = [];
+        this.listeners = []; // { listener, sink }
+        this.levels = { level: Logger.LEVELS.INFO, components: {}, sinks: {} };
+        this.context = {};
+        this.root = this; // Child loggers share the listeners and level settings of the root logger
+    }
+
+    /**
+     * Create a logger that adds context fields to every entry, e.g. the component or account.
+     * The child writes to the same listeners and follows the same level settings
+     * @param {Object} context - Context fields, merged over the context of this logger
+     * @returns {Logger} Child logger
+     */
+    child(context) {
+        const child = new Logger({ showTimestamp: this.showTimestamp, useConsole: this.useConsole });
+        child.root = this.root;
+        child.context = { ...this.context, ...context };
+        return child;
     }
 
     /**
      * Add a log listener
      * @param {Function} listener - Function to call with log entries
+     * @param {string|null} [sink] - Sink name used to look up the minimum levels of the listener
      */
-    addListener(listener) {
+    addListener(listener, sink = null) {
         if (typeof listener === 'function') {
-            this.listeners.push(listener);
+            this.root.listeners.push({ listener, sink });
         }
     }
 
+    /**
+     * Set the minimum levels of entries passed to the console and the listeners
+     * @param {Object} levels - Level settings
+     * @param {string} levels.level - Default minimum level
+     * @param {Object<string, string>} levels.components - Default minimum levels by component
+     * @param {Object<string, {level: string|null, components: Object<string, string>}>} levels.sinks - Minimum levels by sink name
+     */
+    setLevels(levels) {
+        this.root.levels = levels;
+    }
+
+    /**
+     * Check whether an entry passes the minimum level of a sink. The most specific setting wins:
+     * the sink level of the component, the default level of the component, the sink level, the default level
+     * @param {string|null} sink - Sink name
+     * @param {string} level - Log level of the entry
+     * @param {string|undefined} component - Component of the entry
+     * @returns {boolean}
+     * @private
+     */
+    _isEnabled(sink, level, component) {
+        const levels = this.root.levels;
+        const sinkLevels = (sink && levels.sinks[sink]) || {};
+        const minLevel = (component && sinkLevels.components && sinkLevels.components[component])
+            || (component && levels.components[component])
+            || sinkLevels.level
+            || levels.level;
+
+        return Logger.SEVERITY[level] >= Logger.SEVERITY[minLevel];
+    }
+
     /**
      * Format a log message
      * @param {string} level - Log level
      * @param {string} message - Log message
+     * @param {Date} timestamp - Time of the entry
      * @returns {string} - Formatted log message
      * @private
      */
-    _formatMessage(level, message) {
-        const timestamp = this.showTimestamp ? `[${new Date().toISOString()}] ` : '';
-        return `${timestamp}[${level}] ${message}`;
+    _formatMessage(level, message, timestamp) {
+        const time = this.showTimestamp ? `[${timestamp.toISOString()}] ` : '';
+        const component = this.context.component ? `[${this.context.component}] ` : '';
+        return `${time}[${level}] ${component}${message}`;
+    }
+
+    /**
+     * Extract the context fields of a data payload
+     * @param {*} data - Additional data of a log entry
+     * @returns {Object} Context of this logger with the context fields present in the data, values converted to strings
+     * @private
+     */
+    _extractContext(data) {
+        const context = { ...this.context };
+
+        if (data === null || typeof data !== 'object') {
+            return context;
+        }
+
+        for (const field of Logger.CONTEXT_FIELDS) {
+            if (data[field] != null) {
+                context[field] = String(data[field]);
+            }
+        }
+
+        return context;
     }
 
     /**
@@ -55,9 +179,11 @@ class Logger {
      * @private
      */
     _log(level, message, data) {
-        const formattedMessage = this._formatMessage(level, message);
-        
-        if (this.useConsole) {
+        const timestamp = new Date();
+        const formattedMessage = this._formatMessage(level, message, timestamp);
+        const component = this.context.component;
+
+        if (this.root.useConsole && this._isEnabled(Logger.CONSOLE_SINK, level, component)) {
             switch (level) {
                 case Logger.LEVELS.ERROR:
                     console.error(formattedMessage, data || '');
@@ -73,14 +199,21 @@ class Logger {
             }
         }
 
-        for (const listener of this.listeners) {
+        const context = this._extractContext(data);
+
+        for (const { listener, sink } of this.root.listeners) {
+            if (!this._isEnabled(sink, level, component)) {
+                continue;
+            }
+
             try {
                 listener({
                     level,
                     message,
                     formattedMessage,
                     data,
-                    timestamp: new Date()
+                    context,
+                    timestamp
                 });
             } catch (error) {
                 console.error('Error in log listener:', error);
@@ -141,5 +274,7 @@ const defaultLogger = new Logger();
 module.exports = {
     Logger,
     logger: defaultLogger,
-    LEVELS: Logger.LEVELS
+    LEVELS: Logger.LEVELS,
+    COMPONENTS: Logger.COMPONENTS,
+    EVENTS: Logger.EVENTS
 };
\ No newline at end of file
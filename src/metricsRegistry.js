@@ -0,0 +1,207 @@
+/**
+ * Minimal registry of Prometheus metrics rendered in the text exposition format.
+ * Supports counters, gauges and histograms with labels.
+ */
+
+/**
+ * Default histogram buckets in seconds
+ * @type {Array<number>}
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class MetricsRegistry {
+    /**
+     * Metric types
+     * @type {{COUNTER: string, GAUGE: string, HISTOGRAM: string}}
+     */
+    static TYPES = {
+        COUNTER: 'counter',
+        GAUGE: 'gauge',
+        HISTOGRAM: 'histogram'
+    };
+
+    constructor() {
+        this.metrics = new Map(); // name -> { type, help, buckets, collect, series: Map<labelKey, { labels, value | buckets, sum, count }> }
+    }
+
+    /**
+     * Register a metric
+     * @param {string} type - One of MetricsRegistry.TYPES
+     * @param {string} name - Metric name
+     * @param {string} help - Metric description
+     * @param {Object} [options]
+     * @param {Array<number>} [options.buckets] - Upper bounds of histogram buckets
+     * @param {Function} [options.collect] - Returns the value of a gauge when the metrics are rendered
+     * @returns {MetricsRegistry} This registry
+     */
+    register(type, name, help, { buckets = DEFAULT_BUCKETS, collect = null } = {}) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { type, help, buckets, collect, series: new Map() });
+        }
+
+        return this;
+    }
+
+    /**
+     * Compute a gauge when the metrics are rendered instead of setting it
+     * @param {string} name - Metric name
+     * @param {Function} collect - Returns the current value
+     */
+    setCollector(name, collect) {
+        this._getMetric(name, MetricsRegistry.TYPES.GAUGE).collect = collect;
+    }
+
+    /**
+     * Get a registered metric
+     * @param {string} name - Metric name
+     * @param {string} type - Expected metric type
+     * @returns {Object}
+     * @throws {Error} If the metric is not registered with this type
+     * @private
+     */
+    _getMetric(name, type) {
+        const metric = this.metrics.get(name);
+
+        if (!metric || metric.type !== type) {
+            throw new Error(`Metric ${name} is not registered as a ${type}`);
+        }
+
+        return metric;
+    }
+
+    /**
+     * Get the series of a metric for a set of labels, creating it if needed
+     * @param {Object} metric - Registered metric
+     * @param {Object<string, string|number>} labels - Label values
+     * @param {Function} create - Creates the initial state of a new series
+     * @returns {Object} Series state
+     * @private
+     */
+    _getSeries(metric, labels, create) {
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        let series = metric.series.get(key);
+
+        if (!series) {
+            series = { labels, ...create() };
+            metric.series.set(key, series);
+        }
+
+        return series;
+    }
+
+    /**
+     * Increase a counter
+     * @param {string} name - Metric name
+     * @param {Object<string, string|number>} [labels] - Label values
+     * @param {number} [value=1] - Increment
+     */
+    inc(name, labels = {}, value = 1) {
+        const metric = this._getMetric(name, MetricsRegistry.TYPES.COUNTER);
+        this._getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    }
+
+    /**
+     * Set a gauge
+     * @param {string} name - Metric name
+     * @param {Object<string, string|number>} labels - Label values
+     * @param {number} value - Value
+     */
+    set(name, labels, value) {
+        const metric = this._getMetric(name, MetricsRegistry.TYPES.GAUGE);
+        this._getSeries(metric, labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * Record an observation in a histogram
+     * @param {string} name - Metric name
+     * @param {Object<string, string|number>} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(name, labels, value) {
+        const metric = this._getMetric(name, MetricsRegistry.TYPES.HISTOGRAM);
+        const series = this._getSeries(metric, labels, () => ({
+            buckets: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.buckets[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Format labels for the exposition format
+     * @param {Object<string, string|number>} labels - Label values
+     * @returns {string} e.g. {account="+123",result="success"}, or an empty string without labels
+     * @private
+     */
+    _formatLabels(labels) {
+        const entries = Object.entries(labels);
+
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+
+            if (metric.collect) {
+                lines.push(`${name} ${metric.collect()}`);
+                continue;
+            }
+
+            for (const series of metric.series.values()) {
+                if (metric.type !== MetricsRegistry.TYPES.HISTOGRAM) {
+                    lines.push(`${name}${this._formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${this._formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${this._formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${this._formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${this._formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+const { COUNTER, GAUGE, HISTOGRAM } = MetricsRegistry.TYPES;
+
+// Application metrics, recorded by the services through the shared registry
+const defaultRegistry = new MetricsRegistry()
+    .register(HISTOGRAM, 'gifts_check_duration_seconds', 'Latency of getStarGiftOptions per checker account')
+    .register(COUNTER, 'gifts_checks_total', 'Gift list checks per checker account and result')
+    .register(GAUGE, 'gifts_checks_per_minute', 'Successful gift list checks during the last minute')
+    .register(COUNTER, 'gifts_new_detected_total', 'New gifts detected')
+    .register(COUNTER, 'gifts_purchase_attempts_total', 'sendStarGift calls per account, including retries')
+    .register(COUNTER, 'gifts_purchase_successes_total', 'Gift units sent per account')
+    .register(COUNTER, 'gifts_purchase_failures_total', 'Failed sendStarGift calls per account and error type')
+    .register(COUNTER, 'gifts_stars_spent_total', 'Stars spent per account on purchases and upgrades')
+    .register(COUNTER, 'gifts_notifier_send_failures_total', 'Failed notification requests per sink and reason')
+    .register(GAUGE, 'gifts_notifier_outbox_size', 'Notifications waiting in the Telegram notifier outbox');
+
+module.exports = {
+    MetricsRegistry,
+    metrics: defaultRegistry
+};
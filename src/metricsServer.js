@@ -0,0 +1,94 @@
+const http = require('http');
+
+/**
+ * Local HTTP server exposing the metrics registry on /metrics for Prometheus
+ */
+class MetricsServer {
+    /**
+     * @param {Object} config - Metrics settings
+     * @param {boolean} config.enabled - Whether the server is enabled
+     * @param {string} config.host - Address to listen on
+     * @param {number} config.port - Port to listen on
+     * @param {import('./metricsRegistry').MetricsRegistry} registry - Metrics registry to expose
+     * @param {import('./logger').Logger} logger - Logger instance
+     */
+    constructor(config, registry, logger) {
+        this.config = config;
+        this.registry = registry;
+        this.logger = logger;
+        this.server = null;
+    }
+
+    /**
+     * Handle an HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @private
+     */
+    _handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (req.method !== 'GET' || path !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        try {
+            const body = this.registry.render();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            this.logger.error('Failed to render metrics:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to render metrics\n');
+        }
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.config.enabled || this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const server = http.createServer((req, res) => this._handleRequest(req, res));
+
+            server.once('error', error => {
+                this.logger.error(`Failed to start the metrics server on ${this.config.host}:${this.config.port}:`, error);
+                this.server = null;
+                resolve();
+            });
+
+            server.listen(this.config.port, this.config.host, () => {
+                this.logger.info(`Metrics available at http://${this.config.host}:${this.config.port}/metrics`);
+                resolve();
+            });
+
+            this.server = server;
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+}
+
+module.exports = MetricsServer;
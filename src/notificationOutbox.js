@@ -0,0 +1,410 @@
+const { readJsonFile, writeJsonFile } = require('./dataStore');
+const { COMPONENTS } = require('./logger');
+
+/**
+ * Messages older than this are dropped instead of being sent late
+ * @type {number}
+ */
+const MAX_MESSAGE_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest delay between two attempts to send a message that failed
+ * @type {number}
+ */
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Delay before the queue is written to disk after a change
+ * @type {number}
+ */
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Separator between messages merged into one
+ * @type {string}
+ */
+const MERGE_SEPARATOR = '\n\n';
+
+/**
+ * Code block markup of Telegram HTML messages
+ * @type {{open: string, close: string}}
+ */
+const HTML_CODE_BLOCK = { open: '<pre>', close: '</pre>' };
+
+/**
+ * Split a text into parts no longer than a limit, preferably at line breaks.
+ * A code block cut in two is closed at the end of one part and reopened in the next
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum length of a part
+ * @param {{open: string, close: string}|null} [block] - Code block markup, null for plain text
+ * @returns {Array<string>}
+ */
+function splitText(text, maxLength, block = HTML_CODE_BLOCK) {
+    if (text.length <= maxLength) {
+        return [text];
+    }
+
+    const parts = [];
+    // Room for closing and reopening a code block in every part
+    const limit = block ? maxLength - block.open.length - block.close.length : maxLength;
+    const count = (part, markup) => part.split(markup).length - 1;
+    let rest = text;
+    let reopen = false;
+
+    while (rest.length > 0) {
+        let part = reopen ? `${block.open}${rest}` : rest;
+
+        if (part.length > limit) {
+            const cut = part.lastIndexOf('\n', limit);
+            part = part.slice(0, cut > limit / 2 ? cut + 1 : limit);
+        }
+
+        rest = rest.slice(part.length - (reopen ? block.open.length : 0));
+
+        if (block) {
+            // A Markdown fence closes a code block with the characters that open it, e.g. ```json and ```
+            reopen = block.open.startsWith(block.close)
+                ? count(part, block.close) % 2 === 1
+                : count(part, block.open) > count(part, block.close);
+        }
+
+        parts.push(reopen ? `${part}${block.close}` : part);
+    }
+
+    return parts;
+}
+
+/**
+ * Queue of outgoing notifications that obeys per-chat rate limits.
+ *
+ * Messages are sent to every chat in order, at most one request at a time per chat and
+ * no faster than the rate limit allows. A chat that answered with a retry delay (HTTP 429)
+ * is paused for that long, other failures are retried with an increasing delay. While a chat
+ * waits, repeated identical messages are merged into one, and queued messages
+ * are sent together as one text up to the length limit, unless merging is turned off for
+ * structured payloads. The queue is written to disk, so
+ * messages that were not sent before a restart are sent after it.
+ *
+ * Delivery problems are logged under the notifications component, which the notification
+ * listeners skip (see isDeliveryEntry), so a failing chat does not feed its own queue.
+ */
+class NotificationOutbox {
+    /**
+     * @param {Function} send - Sends a message, resolves to {ok: boolean, retryAfterSeconds?: number, permanent?: boolean, error?: string}
+     * @param {Object} options - Outbox options
+     * @param {string} options.filePath - Path of the file the unsent messages are stored in
+     * @param {number} options.maxLength - Maximum length of one message
+     * @param {number} options.minIntervalMs - Minimum delay between two messages to the same chat
+     * @param {number} options.maxPerMinute - Maximum number of messages to the same chat per minute
+     * @param {boolean} [options.merge=true] - Whether queued messages may be merged into one text
+     * @param {{open: string, close: string}|null} [options.codeBlock] - Code block markup kept intact when a long text is split, null for plain text
+     * @param {Function} [options.chatOf] - Maps a target to the chat whose rate limits it shares, e.g. the topics of a forum
+     * @param {import('./logger').Logger} options.logger - Logger for delivery problems, tagged with the notifications component
+     */
+    constructor(send, options) {
+        this.send = send;
+        this.options = { merge: true, codeBlock: HTML_CODE_BLOCK, ...options };
+        this.logger = options.logger;
+        this.messages = []; // { id, target, text, key, count, createdAt, attempts, notBefore, single }
+        this.chats = new Map(); // chat of a target -> { sending, sentAt: Array<number>, blockedUntil }
+        this.nextId = 1;
+        this.timer = null;
+        this.saveTimer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Check whether a log entry was written by an outbox, so notification listeners can skip it
+     * @param {Object} entry - Log entry from the logger
+     * @returns {boolean}
+     */
+    static isDeliveryEntry(entry) {
+        return !!entry.context && entry.context.component === COMPONENTS.NOTIFICATIONS;
+    }
+
+    /**
+     * Load the messages left unsent by the previous run and start sending them
+     * @returns {number} Number of loaded messages
+     */
+    load() {
+        let data = null;
+
+        try {
+            data = readJsonFile(this.options.filePath);
+        } catch (error) {
+            this.logger.error(`Failed to read the notification outbox ${this.options.filePath}:`, error.message);
+        }
+
+        const now = Date.now();
+        const messages = ((data && data.messages) || []).filter(message => now - message.createdAt < MAX_MESSAGE_AGE_MS);
+
+        for (const message of messages) {
+            this.messages.push({ ...message, id: this.nextId++, notBefore: 0 });
+        }
+
+        if (messages.length > 0) {
+            this.logger.info(`Resending ${messages.length} notification(s) left unsent by the previous run`);
+        }
+
+        this._pump();
+        return messages.length;
+    }
+
+    /**
+     * Get the number of queued messages
+     * @returns {number}
+     */
+    get size() {
+        return this.messages.length;
+    }
+
+    /**
+     * Queue a message
+     * @param {string} target - Chat, or topic of a chat, the message is sent to
+     * @param {string} text - Message text
+     */
+    enqueue(target, text) {
+        if (this.stopped) {
+            return;
+        }
+
+        const parts = splitText(text, this.options.maxLength, this.options.codeBlock);
+        // Only whole messages are merged, the parts of a long message must stay together.
+        // Texts must be equal: messages that differ in a gift ID, account or amount are separate results
+        const key = this.options.merge && parts.length === 1 ? text : null;
+        const similar = key && this.messages.find(message => message.target === target && message.key === key && !message.sending);
+
+        if (similar) {
+            similar.count++;
+        } else {
+            for (const part of parts) {
+                this.messages.push({
+                    id: this.nextId++,
+                    target,
+                    text: part,
+                    key,
+                    count: 1,
+                    createdAt: Date.now(),
+                    attempts: 0,
+                    notBefore: 0
+                });
+            }
+        }
+
+        this._scheduleSave();
+        this._pump();
+    }
+
+    /**
+     * Get the rate limit state of a chat
+     * @param {string} target - Chat
+     * @returns {{sending: boolean, sentAt: Array<number>, blockedUntil: number}}
+     * @private
+     */
+    _getChat(target) {
+        const key = this.options.chatOf ? this.options.chatOf(target) : target;
+        let chat = this.chats.get(key);
+
+        if (!chat) {
+            chat = { sending: false, sentAt: [], blockedUntil: 0 };
+            this.chats.set(key, chat);
+        }
+
+        return chat;
+    }
+
+    /**
+     * Get the earliest time the next message may be sent to a chat
+     * @param {Object} chat - Chat state
+     * @param {number} now - Current time
+     * @returns {number} Timestamp in milliseconds
+     * @private
+     */
+    _getReadyAt(chat, now) {
+        chat.sentAt = chat.sentAt.filter(at => now - at < 60000);
+
+        let readyAt = chat.blockedUntil;
+
+        if (chat.sentAt.length > 0) {
+            readyAt = Math.max(readyAt, chat.sentAt[chat.sentAt.length - 1] + this.options.minIntervalMs);
+        }
+
+        if (chat.sentAt.length >= this.options.maxPerMinute) {
+            readyAt = Math.max(readyAt, chat.sentAt[chat.sentAt.length - this.options.maxPerMinute] + 60000);
+        }
+
+        return readyAt;
+    }
+
+    /**
+     * Send the next message of every chat that may send now and schedule the next run
+     * @private
+     */
+    _pump() {
+        if (this.stopped) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        this.messages = this.messages.filter(message => message.sending || now - message.createdAt < MAX_MESSAGE_AGE_MS);
+
+        for (const target of new Set(this.messages.map(message => message.target))) {
+            const chat = this._getChat(target);
+
+            if (chat.sending) {
+                continue;
+            }
+
+            const queued = this.messages.filter(message => message.target === target);
+            const readyAt = Math.max(this._getReadyAt(chat, now), queued[0].notBefore);
+
+            if (readyAt > now) {
+                wakeAt = Math.min(wakeAt, readyAt);
+                continue;
+            }
+
+            this._sendBatch(chat, queued);
+        }
+
+        if (wakeAt !== Infinity) {
+            this.timer = setTimeout(() => this._pump(), wakeAt - now);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Send the first queued messages of a chat as one text
+     * @param {Object} chat - Chat state
+     * @param {Array<Object>} queued - Queued messages of the chat in order
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _sendBatch(chat, queued) {
+        const batch = [queued[0]];
+        let text = this._formatMessage(queued[0]);
+
+        for (const message of queued.slice(1)) {
+            const next = `${text}${MERGE_SEPARATOR}${this._formatMessage(message)}`;
+
+            if (!this.options.merge || queued[0].single || message.single || message.notBefore > Date.now() || next.length > this.options.maxLength) {
+                break;
+            }
+
+            batch.push(message);
+            text = next;
+        }
+
+        chat.sending = true;
+        batch.forEach(message => { message.sending = true; });
+
+        let result;
+        try {
+            result = await this.send({ target: queued[0].target, text });
+        } catch (error) {
+            result = { ok: false, error: error.message };
+        }
+
+        const now = Date.now();
+        chat.sending = false;
+        chat.sentAt.push(now);
+        batch.forEach(message => { message.sending = false; });
+
+        if (result.ok) {
+            this._remove(batch);
+        } else if (result.retryAfterSeconds != null) {
+            chat.blockedUntil = now + result.retryAfterSeconds * 1000;
+            this.logger.warning(`Notification to ${queued[0].target} rate limited, retrying in ${result.retryAfterSeconds}s`);
+        } else if (result.permanent && batch.length > 1) {
+            // One broken message must not take the others down with it, so they are retried one by one
+            batch.forEach(message => { message.single = true; });
+        } else if (result.permanent) {
+            this.logger.error(`Dropping notification to ${queued[0].target}: ${result.error}`);
+            this._remove(batch);
+        } else {
+            for (const message of batch) {
+                message.attempts++;
+                message.notBefore = now + Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** (message.attempts - 1));
+            }
+            this.logger.warning(`Failed to send notification to ${queued[0].target}, attempt ${batch[0].attempts}: ${result.error}`);
+        }
+
+        this._pump();
+    }
+
+    /**
+     * Add the number of merged messages to the text of a message
+     * @param {Object} message - Queued message
+     * @returns {string}
+     * @private
+     */
+    _formatMessage(message) {
+        return message.count > 1 ? `${message.text}\n(${message.count} identical messages)` : message.text;
+    }
+
+    /**
+     * Remove sent or dropped messages from the queue
+     * @param {Array<Object>} batch - Messages to remove
+     * @private
+     */
+    _remove(batch) {
+        const ids = new Set(batch.map(message => message.id));
+        this.messages = this.messages.filter(message => !ids.has(message.id));
+        this._scheduleSave();
+    }
+
+    /**
+     * Write the queue to disk shortly, so a burst of messages causes one write
+     * @private
+     */
+    _scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write the queued messages to disk
+     */
+    save() {
+        const messages = this.messages.map(({ id, sending, notBefore, single, ...message }) => message);
+
+        try {
+            writeJsonFile(this.options.filePath, { messages });
+        } catch (error) {
+            this.logger.error(`Failed to write the notification outbox ${this.options.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Wait for the queue to drain, then stop sending and write the unsent messages to disk
+     * @param {number} [timeoutMs=5000] - How long to wait for the queue to drain
+     * @returns {Promise<void>}
+     */
+    async stop(timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.messages.length > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        this.stopped = true;
+        clearTimeout(this.timer);
+        clearTimeout(this.saveTimer);
+        this.timer = null;
+        this.saveTimer = null;
+        this.save();
+    }
+}
+
+module.exports = NotificationOutbox;
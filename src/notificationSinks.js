@@ -0,0 +1,46 @@
+const WebhookSink = require('./webhookSink');
+const DiscordSink = require('./discordSink');
+const SmtpSink = require('./smtpSink');
+
+/**
+ * Notification sinks configured in notifications.sinks.
+ *
+ * A sink is an object with:
+ * - name: sink name, the logger looks up the minimum levels of the sink under it
+ * - createLogListener(): returns a logger listener that queues log entries for the sink
+ * - stop(): resolves once the queued notifications are sent or stored for the next run
+ * TelegramNotifier implements the same interface for the Telegram channels.
+ */
+
+/**
+ * Sink classes by sink type
+ * @type {Object<string, Function>}
+ */
+const SINK_TYPES = {
+    webhook: WebhookSink,
+    discord: DiscordSink,
+    smtp: SmtpSink
+};
+
+/**
+ * Create a notification sink
+ * @param {Object} settings - Processed sink settings
+ * @param {string} settings.type - Sink type
+ * @param {import('./logger').Logger} logger - Logger for delivery problems, tagged with the notifications component
+ * @returns {WebhookSink|DiscordSink|SmtpSink}
+ * @throws {Error} If the sink type is unknown
+ */
+function createNotificationSink(settings, logger) {
+    const Sink = SINK_TYPES[settings.type];
+
+    if (!Sink) {
+        throw new Error(`Unknown notification sink type "${settings.type}"`);
+    }
+
+    return new Sink(settings, logger);
+}
+
+module.exports = {
+    SINK_TYPES,
+    createNotificationSink
+};
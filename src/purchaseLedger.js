@@ -0,0 +1,171 @@
+const fs = require('fs');
+const { dataPath, ensureDataDir } = require('./dataStore');
+
+/**
+ * Default file name of the purchase ledger
+ * @type {string}
+ */
+const LEDGER_FILE = 'purchases.jsonl';
+
+/**
+ * Durable purchase ledger stored as JSON lines.
+ * Every purchase attempt of a single gift unit is recorded with its outcome,
+ * as well as every upgrade of a purchased unit into a collectible.
+ */
+class PurchaseLedger {
+    /**
+     * Ledger grouping keys
+     * @type {{GIFT: string, ACCOUNT: string, DAY: string}}
+     */
+    static GROUP_BY = {
+        GIFT: 'gift',
+        ACCOUNT: 'account',
+        DAY: 'day'
+    };
+
+    /**
+     * @param {import('./logger').Logger} [logger] - Logger instance
+     * @param {string} [filePath] - Path of the ledger file
+     */
+    constructor(logger = console, filePath = dataPath(LEDGER_FILE)) {
+        this.logger = logger;
+        this.filePath = filePath;
+    }
+
+    /**
+     * Append an entry to the ledger
+     * @param {Object} entry - Ledger entry
+     * @param {string} [entry.kind] - upgrade for upgrades into collectibles, omitted for purchases
+     * @param {string} [entry.purchaseId] - ID of the purchase batch, also found in the file log
+     * @param {string} entry.status - success or failed
+     * @param {string} entry.account - Phone number of the buying account
+     * @param {string} entry.user - Username or ID of the buying account
+     * @param {string} entry.peerId - Peer ID or @username that received the unit
+     * @param {string} entry.giftId - Gift ID
+     * @param {string} entry.giftTitle - Gift title
+     * @param {number} entry.stars - Stars spent including a prepaid upgrade (0 for failed attempts)
+     * @param {number} entry.attempts - Number of sendStarGift calls made
+     * @param {string|null} entry.error - Final error message for failed attempts
+     * @param {boolean} entry.anonymous - Whether the gift was sent anonymously
+     * @param {boolean} entry.prepaidUpgrade - Whether the upgrade to a collectible was paid up front
+     * @param {boolean} entry.manual - Whether the purchase was triggered manually
+     * @param {boolean} entry.dryRun - Whether the purchase was simulated
+     */
+    record(entry) {
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            ...entry
+        });
+
+        try {
+            ensureDataDir();
+            fs.appendFileSync(this.filePath, `${line}\n`);
+        } catch (error) {
+            this.logger.error(`Failed to write purchase ledger entry to ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Read ledger entries
+     * @param {Object} [filter] - Entry filter
+     * @param {string} [filter.since] - Only entries on or after this day (YYYY-MM-DD)
+     * @param {string} [filter.until] - Only entries on or before this day (YYYY-MM-DD)
+     * @param {boolean} [filter.includeDryRun=false] - Whether to include simulated purchases
+     * @returns {Array<Object>} Ledger entries
+     */
+    readEntries(filter = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const entries = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Skip a line truncated by a crash in the middle of a write
+                continue;
+            }
+
+            const day = entry.timestamp.slice(0, 10);
+
+            if (filter.since && day < filter.since) {
+                continue;
+            }
+
+            if (filter.until && day > filter.until) {
+                continue;
+            }
+
+            if (entry.dryRun && !filter.includeDryRun) {
+                continue;
+            }
+
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Summarize ledger entries grouped by gift, account or day
+     * @param {string} groupBy - One of {@link PurchaseLedger.GROUP_BY}
+     * @param {Object} [filter] - Entry filter, see {@link PurchaseLedger#readEntries}
+     * @returns {Array<{key: string, units: number, upgrades: number, stars: number, failed: number, attempts: number, manualUnits: number}>}
+     */
+    summarize(groupBy, filter = {}) {
+        const keyOf = {
+            [PurchaseLedger.GROUP_BY.GIFT]: entry => `${entry.giftTitle || 'Unknown'} (${entry.giftId})`,
+            [PurchaseLedger.GROUP_BY.ACCOUNT]: entry => entry.account,
+            [PurchaseLedger.GROUP_BY.DAY]: entry => entry.timestamp.slice(0, 10)
+        }[groupBy];
+
+        if (!keyOf) {
+            throw new Error(`Unknown ledger grouping "${groupBy}". Expected one of: ${Object.values(PurchaseLedger.GROUP_BY).join(', ')}`);
+        }
+
+        const totals = new Map();
+
+        for (const entry of this.readEntries(filter)) {
+            const key = keyOf(entry);
+            const row = totals.get(key) || { key, units: 0, upgrades: 0, stars: 0, failed: 0, attempts: 0, manualUnits: 0 };
+
+            if (entry.kind === 'upgrade') {
+                if (entry.status === 'success') {
+                    row.upgrades++;
+                    row.stars += entry.stars || 0;
+                } else {
+                    row.failed++;
+                }
+
+                totals.set(key, row);
+                continue;
+            }
+
+            row.attempts += entry.attempts || 0;
+
+            if (entry.status === 'success') {
+                row.units++;
+                row.stars += entry.stars || 0;
+                if (entry.manual) {
+                    row.manualUnits++;
+                }
+            } else {
+                row.failed++;
+            }
+
+            totals.set(key, row);
+        }
+
+        return [...totals.values()].sort((a, b) => a.key.localeCompare(b.key));
+    }
+}
+
+module.exports = PurchaseLedger;
@@ -0,0 +1,224 @@
+/**
+ * Rule-based purchase policy
+ * Decides whether a gift should be bought automatically, how many units
+ * to buy and which accounts should buy it, based on declarative rules from config.json.
+ * Rules without `on` are evaluated for new gifts, rules with `on` for changes of known gifts
+ */
+class PurchasePolicy {
+    /**
+     * @param {Array<Object>} rules - Purchase rules as processed by config.js
+     * @param {string} rules[].name - Rule name used in explanations
+     * @param {number} rules[].priority - Higher priority rules are evaluated (and bought) first
+     * @param {number} rules[].quantity - Number of units each account should buy
+     * @param {Array<string>|null} rules[].accounts - Phone numbers of accounts allowed to buy, null for all
+     * @param {Object|null} rules[].delivery - Gift delivery settings overriding the account settings
+     * @param {Object|null} rules[].autoUpgrade - Settings for upgrading bought gifts into collectibles, null to keep them as is
+     * @param {Array<string>|null} rules[].on - Gift change types the rule fires on, null for new gifts
+     * @param {Object} rules[].match - Conditions the gift must satisfy
+     */
+    constructor(rules = []) {
+        this.rules = [...rules].sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Check a numeric value against an optional {min, max} range
+     * @param {number} value - Value to check
+     * @param {{min?: number, max?: number}} range - Allowed range
+     * @returns {boolean}
+     * @private
+     */
+    _inRange(value, range) {
+        if (range.min != null && value < range.min) {
+            return false;
+        }
+
+        if (range.max != null && value > range.max) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Describe a {min, max} range for explanations
+     * @param {string} field - Field name
+     * @param {number} value - Actual value
+     * @param {{min?: number, max?: number}} range - Allowed range
+     * @returns {string}
+     * @private
+     */
+    _describeRange(field, value, range) {
+        const bounds = [];
+
+        if (range.min != null) {
+            bounds.push(`≥ ${range.min}`);
+        }
+
+        if (range.max != null) {
+            bounds.push(`≤ ${range.max}`);
+        }
+
+        return `${field} ${value} ${bounds.join(' and ')}`;
+    }
+
+    /**
+     * Check a condition that is either a boolean (presence) or a range on the value
+     * @param {string} field - Field name
+     * @param {number|null} value - Actual value, null when the gift does not have the field
+     * @param {boolean|Object} condition - Condition from the rule
+     * @returns {{matched: boolean, reason: string}}
+     * @private
+     */
+    _matchOptionalValue(field, value, condition) {
+        if (typeof condition === 'boolean') {
+            const present = value != null;
+            return {
+                matched: present === condition,
+                reason: condition ? `${field} is set (${value})` : `${field} is not set`
+            };
+        }
+
+        if (value == null) {
+            return { matched: false, reason: `${field} is not set` };
+        }
+
+        return {
+            matched: this._inRange(value, condition),
+            reason: this._describeRange(field, value, condition)
+        };
+    }
+
+    /**
+     * Check a gift against the conditions of a single rule
+     * @param {Object} gift - Gift object
+     * @param {Object} match - Rule conditions
+     * @returns {{matched: boolean, reasons: Array<string>}}
+     * @private
+     */
+    _matchRule(gift, match) {
+        const reasons = [];
+        const check = (matched, reason) => {
+            reasons.push(reason);
+            return matched;
+        };
+
+        if (match.purchaseStars) {
+            const price = Number(gift.purchaseStars);
+            if (!check(this._inRange(price, match.purchaseStars), this._describeRange('purchaseStars', price, match.purchaseStars))) {
+                return { matched: false, reasons };
+            }
+        }
+
+        if (match.availabilityTotal) {
+            if (!gift.availability) {
+                return { matched: false, reasons };
+            }
+
+            const total = gift.availability.total;
+            if (!check(this._inRange(total, match.availabilityTotal), this._describeRange('availability.total', total, match.availabilityTotal))) {
+                return { matched: false, reasons };
+            }
+        }
+
+        if (match.isPremiumOnly != null) {
+            const isPremiumOnly = !!gift.isPremiumOnly;
+            if (!check(isPremiumOnly === match.isPremiumOnly, `isPremiumOnly is ${isPremiumOnly}`)) {
+                return { matched: false, reasons };
+            }
+        }
+
+        if (match.perUserAvailability != null) {
+            const perUserTotal = gift.perUserAvailability ? gift.perUserAvailability.total : null;
+            const result = this._matchOptionalValue('perUserAvailability.total', perUserTotal, match.perUserAvailability);
+            if (!check(result.matched, result.reason)) {
+                return { matched: false, reasons };
+            }
+        }
+
+        if (match.upgradeStars != null) {
+            const upgradeStars = gift.upgradeStars != null ? Number(gift.upgradeStars) : null;
+            const result = this._matchOptionalValue('upgradeStars', upgradeStars, match.upgradeStars);
+            if (!check(result.matched, result.reason)) {
+                return { matched: false, reasons };
+            }
+        }
+
+        if (match.releasedBy != null) {
+            const releasedBy = gift.releasedBy?.username || null;
+
+            if (typeof match.releasedBy === 'boolean') {
+                const released = gift.releasedBy != null;
+                const reason = match.releasedBy ? `releasedBy is @${releasedBy}` : 'releasedBy is not set';
+                if (!check(released === match.releasedBy, reason)) {
+                    return { matched: false, reasons };
+                }
+            } else {
+                const allowed = match.releasedBy.map(username => username.replace(/^@/, '').toLowerCase());
+                const matched = releasedBy != null && allowed.includes(releasedBy.toLowerCase());
+                if (!check(matched, `releasedBy @${releasedBy} is one of ${match.releasedBy.join(', ')}`)) {
+                    return { matched: false, reasons };
+                }
+            }
+        }
+
+        return { matched: true, reasons };
+    }
+
+    /**
+     * Find the change a rule fires on
+     * @param {Object} rule - Purchase rule
+     * @param {Array<{type: string}>|null} changes - Changes of a known gift, null for a new gift
+     * @returns {{type: string}|null|undefined} Matching change, null for a new-gift rule and a new gift,
+     *   undefined if the rule does not apply
+     * @private
+     */
+    _findTrigger(rule, changes) {
+        if (!changes) {
+            return rule.on ? undefined : null;
+        }
+
+        return rule.on ? changes.find(change => rule.on.includes(change.type)) : undefined;
+    }
+
+    /**
+     * Evaluate the rules for a gift and return the decision of the first matching rule
+     * @param {Object} gift - Gift object
+     * @param {Array<{type: string}>|null} [changes] - Changes detected for a known gift, null for a new gift
+     * @returns {{rule: string, priority: number, quantity: number, accounts: Array<string>|null, delivery: Object|null, autoUpgrade: Object|null, trigger: string|null, explanation: string}|null}
+     *   Purchase decision, or null if no rule matched
+     */
+    evaluate(gift, changes = null) {
+        for (const rule of this.rules) {
+            const trigger = this._findTrigger(rule, changes);
+
+            if (trigger === undefined) {
+                continue;
+            }
+
+            const { matched, reasons } = this._matchRule(gift, rule.match);
+
+            if (!matched) {
+                continue;
+            }
+
+            const conditions = reasons.length > 0 ? reasons.join(', ') : 'matches every gift';
+            const accounts = rule.accounts ? rule.accounts.join(', ') : 'all accounts';
+            const on = trigger ? ` on ${trigger.type}` : '';
+
+            return {
+                rule: rule.name,
+                priority: rule.priority,
+                quantity: rule.quantity,
+                accounts: rule.accounts,
+                delivery: rule.delivery,
+                autoUpgrade: rule.autoUpgrade,
+                trigger: trigger ? trigger.type : null,
+                explanation: `rule "${rule.name}" (priority ${rule.priority})${on}: ${conditions}; buying ${rule.quantity} per account with ${accounts}`
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = PurchasePolicy;
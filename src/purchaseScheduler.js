@@ -0,0 +1,115 @@
+/**
+ * Runs purchase batches of several gifts and accounts as a pipeline.
+ *
+ * Every account (lane) works through the batches in the given priority order with
+ * a limited number of units in flight, independently of the other accounts: an account
+ * that finished the first gift moves on to the second one right away, and once the last
+ * units of a gift are in flight, the free slots already start on the next gift.
+ */
+class PurchaseScheduler {
+    /**
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {Function} getConcurrency - Returns the number of units in flight allowed for a lane
+     */
+    constructor(logger, getConcurrency) {
+        this.logger = logger;
+        this.getConcurrency = getConcurrency;
+    }
+
+    /**
+     * Run purchase batches and report the overall throughput
+     * @param {Array<Object>} batches - Batches in priority order
+     * @param {*} batches[].lane - Lane the batch runs in, e.g. the client of the buying account
+     * @param {string} batches[].label - Lane name used in the throughput report
+     * @param {string} batches[].gift - ID of the gift the batch buys
+     * @param {number} batches[].units - Number of units to buy
+     * @param {Function} batches[].runUnit - Buys one unit, resolves to {success: boolean, attempted: boolean, stop: boolean}
+     * @param {Function} batches[].finish - Called once after the last unit of the batch settled
+     * @returns {Promise<{attempted: number, succeeded: number, elapsedMs: number}>} Overall result
+     */
+    async run(batches) {
+        const startTime = Date.now();
+        const lanes = new Map(); // lane -> { label, batches, attempted, succeeded }
+        const finishing = [];
+
+        for (const batch of batches) {
+            const lane = lanes.get(batch.lane) || { label: batch.label, batches: [], attempted: 0, succeeded: 0 };
+            lane.batches.push({ ...batch, started: 0, inFlight: 0, stopped: false, finished: false });
+            lanes.set(batch.lane, lane);
+        }
+
+        const finishBatch = batch => {
+            batch.finished = true;
+            finishing.push(Promise.resolve()
+                .then(() => batch.finish())
+                .catch(error => this.logger.error(`Error finishing purchase batch of ${batch.label}:`, error)));
+        };
+
+        const worker = async lane => {
+            let batch;
+
+            while ((batch = lane.batches.find(candidate => !candidate.stopped && candidate.started < candidate.units))) {
+                batch.started++;
+                batch.inFlight++;
+
+                let result;
+                try {
+                    result = await batch.runUnit();
+                } catch (error) {
+                    this.logger.error(`Error purchasing a unit with ${batch.label}:`, error);
+                    result = { success: false, attempted: true, stop: true };
+                }
+
+                batch.inFlight--;
+                lane.attempted += result.attempted ? 1 : 0;
+                lane.succeeded += result.success ? 1 : 0;
+                batch.stopped = batch.stopped || result.stop;
+
+                if (batch.inFlight === 0 && !batch.finished && (batch.stopped || batch.started === batch.units)) {
+                    finishBatch(batch);
+                }
+            }
+        };
+
+        const workers = [];
+        for (const [key, lane] of lanes) {
+            for (const batch of lane.batches) {
+                if (batch.units <= 0) {
+                    finishBatch(batch);
+                }
+            }
+
+            const concurrency = Math.max(1, this.getConcurrency(key));
+            for (let i = 0; i < concurrency; i++) {
+                workers.push(worker(lane));
+            }
+        }
+
+        await Promise.all(workers);
+        await Promise.all(finishing);
+
+        const result = { attempted: 0, succeeded: 0, elapsedMs: Date.now() - startTime };
+        const accounts = {};
+
+        for (const lane of lanes.values()) {
+            result.attempted += lane.attempted;
+            result.succeeded += lane.succeeded;
+            accounts[lane.label] = { attempted: lane.attempted, succeeded: lane.succeeded };
+        }
+
+        if (result.attempted > 0) {
+            const seconds = result.elapsedMs / 1000;
+            const rate = seconds > 0 ? (result.succeeded / seconds).toFixed(2) : String(result.succeeded);
+
+            this.logger.info(
+                `Purchase run finished: ${result.succeeded}/${result.attempted} unit(s) bought in ${seconds.toFixed(1)}s ` +
+                `(${rate} units/s) with ${lanes.size} account(s)`,
+                { gifts: new Set(batches.map(batch => batch.gift)).size, accounts }
+            );
+        }
+
+        return result;
+    }
+}
+
+module.exports = PurchaseScheduler;
@@ -0,0 +1,156 @@
+/**
+ * Spreads purchased gift units of one account across its recipients.
+ * Supports three strategies:
+ * - round-robin: every unit goes to the next recipient in turn
+ * - fill: every recipient receives up to its limit of units of a gift before the next one is used,
+ *   the last recipient receives the rest
+ * - weighted: recipients receive units in proportion to their weights, interleaved smoothly
+ *
+ * Every unit handed out by next() is reserved for its recipient until it is recorded as
+ * delivered or released, so units still in flight count against the limits of the fill strategy.
+ */
+class RecipientSelector {
+    /**
+     * Distribution strategies
+     * @type {{ROUND_ROBIN: string, FILL: string, WEIGHTED: string}}
+     */
+    static STRATEGIES = {
+        ROUND_ROBIN: 'round-robin',
+        FILL: 'fill',
+        WEIGHTED: 'weighted'
+    };
+
+    /**
+     * @param {Array<{peer: BigInt|string, weight: number, limit: number|null}>} recipients - Recipients in configuration order
+     * @param {string} [strategy='round-robin'] - Distribution strategy
+     */
+    constructor(recipients, strategy = RecipientSelector.STRATEGIES.ROUND_ROBIN) {
+        if (recipients.length === 0) {
+            throw new Error('RecipientSelector requires at least one recipient');
+        }
+
+        this.strategy = strategy;
+        this.entries = recipients.map(recipient => ({
+            ...recipient,
+            currentWeight: 0
+        }));
+        this.rotationIndex = 0;
+        this.delivered = new Map(); // giftId -> Map<peer key, units> for the fill strategy
+        this.reserved = new Map(); // giftId -> Map<peer key, units in flight>
+    }
+
+    /**
+     * Get a stable key of a peer
+     * @param {BigInt|string} peer
+     * @returns {string}
+     * @private
+     */
+    _keyOf(peer) {
+        return String(peer);
+    }
+
+    /**
+     * Add to the number of units of a gift counted for a recipient
+     * @param {Map<string, Map<string, number>>} counts - Counts by gift
+     * @param {string} giftId - Gift ID
+     * @param {BigInt|string} peer - Recipient
+     * @param {number} delta - Units to add, negative to subtract
+     * @private
+     */
+    _addCount(counts, giftId, peer, delta) {
+        const giftCounts = counts.get(giftId) || new Map();
+        const key = this._keyOf(peer);
+
+        giftCounts.set(key, Math.max(0, (giftCounts.get(key) || 0) + delta));
+        counts.set(giftId, giftCounts);
+    }
+
+    /**
+     * Get the recipient that should receive the next unit of a gift and reserve the unit for it.
+     * The caller records the unit with recordDelivery() once it is delivered, or frees it with release()
+     * @param {string} giftId - Gift ID
+     * @returns {BigInt|string} Peer ID or @username
+     */
+    next(giftId) {
+        let entry;
+
+        switch (this.strategy) {
+            case RecipientSelector.STRATEGIES.FILL:
+                entry = this._nextToFill(giftId);
+                break;
+            case RecipientSelector.STRATEGIES.WEIGHTED:
+                entry = this._nextWeighted();
+                break;
+            default:
+                entry = this.entries[this.rotationIndex];
+                this.rotationIndex = (this.rotationIndex + 1) % this.entries.length;
+        }
+
+        this._addCount(this.reserved, giftId, entry.peer, 1);
+        return entry.peer;
+    }
+
+    /**
+     * Record that a unit of a gift was delivered to a recipient
+     * @param {string} giftId - Gift ID
+     * @param {BigInt|string} peer - Recipient that received the unit
+     * @param {boolean} [reserved=true] - Whether the unit was reserved by next(), false for units sent to other peers
+     */
+    recordDelivery(giftId, peer, reserved = true) {
+        if (reserved) {
+            this._addCount(this.reserved, giftId, peer, -1);
+        }
+
+        this._addCount(this.delivered, giftId, peer, 1);
+    }
+
+    /**
+     * Free the unit reserved by next() for a recipient after it was not delivered
+     * @param {string} giftId - Gift ID
+     * @param {BigInt|string} peer - Recipient the unit was reserved for
+     */
+    release(giftId, peer) {
+        this._addCount(this.reserved, giftId, peer, -1);
+    }
+
+    /**
+     * Find the first recipient whose delivered and reserved units have not reached its limit for a gift
+     * @param {string} giftId - Gift ID
+     * @returns {Object} Recipient entry
+     * @private
+     */
+    _nextToFill(giftId) {
+        const delivered = this.delivered.get(giftId) || new Map();
+        const reserved = this.reserved.get(giftId) || new Map();
+        const unitsOf = key => (delivered.get(key) || 0) + (reserved.get(key) || 0);
+
+        const entry = this.entries.find(candidate =>
+            candidate.limit == null || unitsOf(this._keyOf(candidate.peer)) < candidate.limit
+        );
+
+        return entry || this.entries[this.entries.length - 1];
+    }
+
+    /**
+     * Pick a recipient using smooth weighted round-robin
+     * @returns {Object} Recipient entry
+     * @private
+     */
+    _nextWeighted() {
+        const totalWeight = this.entries.reduce((sum, entry) => sum + entry.weight, 0);
+        let best = null;
+
+        for (const entry of this.entries) {
+            entry.currentWeight += entry.weight;
+
+            if (!best || entry.currentWeight > best.currentWeight) {
+                best = entry;
+            }
+        }
+
+        best.currentWeight -= totalWeight;
+        return best;
+    }
+}
+
+module.exports = RecipientSelector;
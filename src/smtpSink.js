@@ -0,0 +1,131 @@
+const nodemailer = require('nodemailer');
+const { dataPath } = require('./dataStore');
+const { metrics } = require('./metricsRegistry');
+const { stringifyLogData } = require('./logRecord');
+const NotificationOutbox = require('./notificationOutbox');
+
+/**
+ * Maximum length of an email body, longer texts are sent as several emails
+ * @type {number}
+ */
+const MAX_BODY_LENGTH = 100000;
+
+/**
+ * Maximum length of an email subject
+ * @type {number}
+ */
+const MAX_SUBJECT_LENGTH = 120;
+
+/**
+ * Minimum delay between two emails, entries logged in the meantime are sent together
+ * @type {number}
+ */
+const MIN_INTERVAL_MS = 60000;
+
+/**
+ * Notification sink that emails log entries through an SMTP server.
+ * Entries logged within a minute of the previous email are collected into one email.
+ */
+class SmtpSink {
+    /**
+     * @param {Object} settings - Sink settings
+     * @param {string} settings.name - Sink name
+     * @param {string} settings.host - SMTP server host
+     * @param {number} settings.port - SMTP server port
+     * @param {boolean} settings.secure - Whether to connect over TLS (port 465), otherwise STARTTLS is used when offered
+     * @param {string|null} settings.username - SMTP user name, null to send without authentication
+     * @param {string|null} settings.password - SMTP password
+     * @param {string} settings.from - Sender address
+     * @param {Array<string>} settings.to - Recipient addresses
+     * @param {import('./logger').Logger} logger - Logger for delivery problems
+     * @param {string} [outboxPath] - Path of the file unsent notifications are stored in
+     */
+    constructor(settings, logger, outboxPath = dataPath(`notification-outbox-${settings.name}.json`)) {
+        this.name = settings.name;
+        this.settings = settings;
+        this.transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: settings.secure,
+            ...(settings.username ? { auth: { user: settings.username, pass: settings.password } } : {})
+        });
+        this.outbox = new NotificationOutbox(message => this._send(message.text), {
+            filePath: outboxPath,
+            maxLength: MAX_BODY_LENGTH,
+            minIntervalMs: MIN_INTERVAL_MS,
+            maxPerMinute: 1,
+            codeBlock: null,
+            logger: logger.child({ sink: settings.name })
+        });
+        this.outbox.load();
+    }
+
+    /**
+     * Create a log listener that queues every entry for the next email
+     * @returns {Function} Log listener
+     */
+    createLogListener() {
+        return entry => {
+            if (!NotificationOutbox.isDeliveryEntry(entry)) {
+                this.outbox.enqueue(this.name, this._formatEntry(entry));
+            }
+        };
+    }
+
+    /**
+     * Format a log entry as plain text
+     * @param {Object} entry - Log entry from the logger
+     * @returns {string}
+     * @private
+     */
+    _formatEntry(entry) {
+        let text = `[${entry.level}] ${entry.message}\n${entry.timestamp.toISOString()}`;
+
+        if (entry.data && typeof entry.data === 'object') {
+            text += `\n${stringifyLogData(entry.data)}`;
+        } else if (typeof entry.data === 'string' && entry.data.length > 0) {
+            text += `\n${entry.data}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Send an email, the first line of the text becomes the subject
+     * @param {string} text - Email body
+     * @returns {Promise<{ok: boolean, permanent?: boolean, error?: string}>} Result for the outbox
+     * @private
+     */
+    async _send(text) {
+        const firstLine = text.split('\n', 1)[0];
+        const entries = text.split(/\n\n(?=\[[A-Z]+\] )/).length;
+        const subject = (entries > 1 ? `${firstLine} (+${entries - 1} more)` : firstLine).slice(0, MAX_SUBJECT_LENGTH);
+
+        try {
+            await this.transport.sendMail({
+                from: this.settings.from,
+                to: this.settings.to.join(', '),
+                subject,
+                text
+            });
+
+            return { ok: true };
+        } catch (error) {
+            metrics.inc('gifts_notifier_send_failures_total', { sink: this.name, reason: error.responseCode ? 'api' : 'network' });
+
+            // 5xx replies mean the server rejected the message or the credentials for good
+            return { ok: false, permanent: error.responseCode >= 500, error: error.message };
+        }
+    }
+
+    /**
+     * Send the queued notifications, waiting a few seconds at most, and store the rest for the next run
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        await this.outbox.stop();
+        this.transport.close();
+    }
+}
+
+module.exports = SmtpSink;
@@ -0,0 +1,231 @@
+const { dataPath, readJsonFile, writeJsonFile } = require('./dataStore');
+
+/**
+ * Default file name of the persisted spending totals
+ * @type {string}
+ */
+const SPENDING_FILE = 'spending.json';
+
+/**
+ * Number of days of daily totals kept in the spending file
+ * @type {number}
+ */
+const DAILY_RETENTION_DAYS = 30;
+
+/**
+ * Tracks how many stars each account spent per day and per gift
+ * and enforces the per-account spending caps from config.json
+ */
+class SpendingTracker {
+    /**
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {string|null} [filePath] - Path of the spending file, null to keep totals in memory only
+     */
+    constructor(logger, filePath = dataPath(SPENDING_FILE)) {
+        this.logger = logger;
+        this.filePath = filePath;
+        this.daily = {}; // { 'YYYY-MM-DD': { phoneNumber: stars } }
+        this.gifts = {}; // { phoneNumber: { giftId: { stars, units } } }
+        this.pending = {}; // { phoneNumber: { stars, gifts: { giftId: { stars, units } } } } of purchases in flight
+        this._load();
+    }
+
+    /**
+     * Get the current day key (UTC)
+     * @returns {string}
+     * @private
+     */
+    _today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    /**
+     * Load spending totals from disk
+     * @private
+     */
+    _load() {
+        if (!this.filePath) {
+            return;
+        }
+
+        try {
+            const data = readJsonFile(this.filePath);
+            if (data) {
+                this.daily = data.daily || {};
+                this.gifts = data.gifts || {};
+            }
+        } catch (error) {
+            this.logger.error(`Failed to load spending totals from ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Save spending totals to disk, dropping daily totals older than the retention period
+     * @private
+     */
+    _save() {
+        const days = Object.keys(this.daily).sort();
+        for (const day of days.slice(0, Math.max(0, days.length - DAILY_RETENTION_DAYS))) {
+            delete this.daily[day];
+        }
+
+        if (!this.filePath) {
+            return;
+        }
+
+        try {
+            writeJsonFile(this.filePath, { daily: this.daily, gifts: this.gifts });
+        } catch (error) {
+            this.logger.error(`Failed to save spending totals to ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Get the stars spent by an account today
+     * @param {string} phoneNumber - Account phone number
+     * @returns {number}
+     */
+    getSpentToday(phoneNumber) {
+        return this.daily[this._today()]?.[phoneNumber] || 0;
+    }
+
+    /**
+     * Get the stars and units an account spent on a gift
+     * @param {string} phoneNumber - Account phone number
+     * @param {string} giftId - Gift ID
+     * @returns {{stars: number, units: number}}
+     */
+    getGiftTotals(phoneNumber, giftId) {
+        return this.gifts[phoneNumber]?.[giftId] || { stars: 0, units: 0 };
+    }
+
+    /**
+     * Get the stars and units of purchases in flight for an account and a gift
+     * @param {string} phoneNumber - Account phone number
+     * @param {string} giftId - Gift ID
+     * @returns {{stars: number, giftStars: number, giftUnits: number}}
+     * @private
+     */
+    _getPending(phoneNumber, giftId) {
+        const pending = this.pending[phoneNumber];
+        const gift = pending?.gifts[giftId];
+
+        return {
+            stars: pending ? pending.stars : 0,
+            giftStars: gift ? gift.stars : 0,
+            giftUnits: gift ? gift.units : 0
+        };
+    }
+
+    /**
+     * Reserve stars for a purchase in flight, so that concurrent purchases of the same account
+     * are checked against the caps together. Every reservation must be released with {@link SpendingTracker#release}
+     * @param {string} phoneNumber - Account phone number
+     * @param {string} giftId - Gift ID
+     * @param {number} stars - Stars to reserve
+     * @param {number} [units=1] - Units to reserve
+     */
+    reserve(phoneNumber, giftId, stars, units = 1) {
+        const pending = this.pending[phoneNumber] || { stars: 0, gifts: {} };
+        const gift = pending.gifts[giftId] || { stars: 0, units: 0 };
+
+        pending.stars += stars;
+        pending.gifts[giftId] = { stars: gift.stars + stars, units: gift.units + units };
+        this.pending[phoneNumber] = pending;
+    }
+
+    /**
+     * Release a reservation made with {@link SpendingTracker#reserve}
+     * @param {string} phoneNumber - Account phone number
+     * @param {string} giftId - Gift ID
+     * @param {number} stars - Reserved stars
+     * @param {number} [units=1] - Reserved units
+     */
+    release(phoneNumber, giftId, stars, units = 1) {
+        const pending = this.pending[phoneNumber];
+        const gift = pending?.gifts[giftId];
+
+        if (!gift) {
+            return;
+        }
+
+        pending.stars -= stars;
+        gift.stars -= stars;
+        gift.units -= units;
+
+        if (gift.units <= 0 && gift.stars <= 0) {
+            delete pending.gifts[giftId];
+        }
+
+        if (Object.keys(pending.gifts).length === 0) {
+            delete this.pending[phoneNumber];
+        }
+    }
+
+    /**
+     * Check whether an account may buy one more unit of a gift without exceeding its caps.
+     * Reserved purchases in flight count as spent
+     * @param {Object} account - Account configuration
+     * @param {string} account.phoneNumber - Account phone number
+     * @param {Object} [account.limits] - Spending caps
+     * @param {string} giftId - Gift ID
+     * @param {number} price - Price of one unit in stars
+     * @param {number} [units=1] - Units bought, 0 for spending on already bought units such as upgrades
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    check(account, giftId, price, units = 1) {
+        const limits = account.limits || {};
+        const spent = this.getGiftTotals(account.phoneNumber, giftId);
+        const pending = this._getPending(account.phoneNumber, giftId);
+        const giftTotals = { stars: spent.stars + pending.giftStars, units: spent.units + pending.giftUnits };
+
+        if (units > 0 && limits.maxUnitsPerGift != null && giftTotals.units + units > limits.maxUnitsPerGift) {
+            return {
+                allowed: false,
+                reason: `maxUnitsPerGift reached (${giftTotals.units}/${limits.maxUnitsPerGift})`
+            };
+        }
+
+        if (limits.maxStarsPerGift != null && giftTotals.stars + price > limits.maxStarsPerGift) {
+            return {
+                allowed: false,
+                reason: `maxStarsPerGift would be exceeded (${giftTotals.stars} + ${price} > ${limits.maxStarsPerGift})`
+            };
+        }
+
+        const spentToday = this.getSpentToday(account.phoneNumber) + pending.stars;
+        if (limits.maxStarsPerDay != null && spentToday + price > limits.maxStarsPerDay) {
+            return {
+                allowed: false,
+                reason: `maxStarsPerDay would be exceeded (${spentToday} + ${price} > ${limits.maxStarsPerDay})`
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Record a successful purchase
+     * @param {string} phoneNumber - Account phone number
+     * @param {string} giftId - Gift ID
+     * @param {number} stars - Stars spent
+     * @param {number} [units=1] - Units bought, 0 for spending on already bought units such as upgrades
+     */
+    record(phoneNumber, giftId, stars, units = 1) {
+        const today = this._today();
+
+        this.daily[today] = this.daily[today] || {};
+        this.daily[today][phoneNumber] = (this.daily[today][phoneNumber] || 0) + stars;
+
+        this.gifts[phoneNumber] = this.gifts[phoneNumber] || {};
+        const giftTotals = this.gifts[phoneNumber][giftId] || { stars: 0, units: 0 };
+        this.gifts[phoneNumber][giftId] = {
+            stars: giftTotals.stars + stars,
+            units: giftTotals.units + units
+        };
+
+        this._save();
+    }
+}
+
+module.exports = SpendingTracker;
@@ -0,0 +1,252 @@
+const { dataPath, readJsonFile, writeJsonFile } = require('./dataStore');
+
+/**
+ * Default file name of the persisted supply history
+ * @type {string}
+ */
+const SUPPLY_FILE = 'supply.json';
+
+/**
+ * How long supply samples are kept
+ * @type {number}
+ */
+const HISTORY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maximum number of supply samples kept per gift
+ * @type {number}
+ */
+const MAX_SAMPLES = 1000;
+
+/**
+ * Minimum time between two writes of the supply file while gifts keep selling
+ * @type {number}
+ */
+const SAVE_INTERVAL_MS = 10000;
+
+/**
+ * Records the remaining supply of limited gifts on every check,
+ * computes how fast they sell out and raises alerts when the remaining
+ * share of a gift drops to a configured threshold
+ */
+class SupplyTracker {
+    /**
+     * @param {import('./logger').Logger} logger - Logger instance
+     * @param {{alertThresholds: Array<number>, velocityWindowMs: number}} settings - Supply tracking settings
+     * @param {string|null} [filePath] - Path of the supply file, null to keep the history in memory only
+     */
+    constructor(logger, settings, filePath = dataPath(SUPPLY_FILE)) {
+        this.logger = logger;
+        this.settings = settings;
+        this.filePath = filePath;
+        this.gifts = {}; // { giftId: { title, total, samples: [{at, remains}], lastSeenAt, alerted: [threshold] } }
+        this.lastSaveAt = 0;
+        this.dirty = false;
+        this._load();
+    }
+
+    /**
+     * Load the supply history from disk
+     * @private
+     */
+    _load() {
+        if (!this.filePath) {
+            return;
+        }
+
+        try {
+            const data = readJsonFile(this.filePath);
+            if (data && data.gifts) {
+                this.gifts = data.gifts;
+            }
+        } catch (error) {
+            this.logger.error(`Failed to load supply history from ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Save the supply history to disk if it changed
+     * @param {boolean} [force] - Save even if the last save was less than SAVE_INTERVAL_MS ago
+     */
+    save(force = false) {
+        if (!this.filePath || !this.dirty || (!force && Date.now() - this.lastSaveAt < SAVE_INTERVAL_MS)) {
+            return;
+        }
+
+        try {
+            writeJsonFile(this.filePath, { gifts: this.gifts });
+            this.lastSaveAt = Date.now();
+            this.dirty = false;
+        } catch (error) {
+            this.logger.error(`Failed to save supply history to ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Record the supply of the gifts returned by a check
+     * @param {Array<Object>} gifts - Gift objects returned by getStarGiftOptions
+     * @param {number} [at] - Time of the check
+     * @returns {Array<{giftId: string, threshold: number, stats: Object}>} Thresholds crossed since the previous check
+     */
+    record(gifts, at = Date.now()) {
+        const alerts = [];
+
+        for (const gift of gifts) {
+            if (!gift.availability || !gift.availability.total) {
+                continue;
+            }
+
+            const giftId = gift.id.toString();
+            const remains = gift.isSoldOut ? 0 : gift.availability.remains;
+            const known = this.gifts[giftId];
+            const entry = known || { title: gift.title || null, total: gift.availability.total, samples: [], alerted: [] };
+
+            entry.title = gift.title || entry.title;
+            entry.total = gift.availability.total;
+            entry.lastSeenAt = at;
+
+            const lastSample = entry.samples[entry.samples.length - 1];
+            if (!lastSample || lastSample.remains !== remains) {
+                entry.samples.push({ at, remains });
+                this._pruneSamples(entry, at);
+                this.dirty = true;
+            }
+
+            this.gifts[giftId] = entry;
+
+            const crossed = this._crossedThresholds(entry, remains);
+            if (crossed.length === 0) {
+                continue;
+            }
+
+            entry.alerted.push(...crossed);
+            this.dirty = true;
+
+            // A gift seen for the first time (or after the thresholds were lowered) is already
+            // below them, which says nothing about how fast it is selling now
+            if (known && lastSample) {
+                alerts.push({ giftId, threshold: Math.min(...crossed), stats: this.getStats(giftId) });
+            }
+        }
+
+        this.save(alerts.length > 0);
+        return alerts;
+    }
+
+    /**
+     * Get the configured thresholds the remaining supply has reached that were not alerted yet
+     * @param {Object} entry - Supply history of a gift
+     * @param {number} remains - Remaining supply
+     * @returns {Array<number>} Thresholds in percent of the total supply
+     * @private
+     */
+    _crossedThresholds(entry, remains) {
+        const remainingPercent = remains / entry.total * 100;
+
+        return this.settings.alertThresholds.filter(threshold =>
+            !entry.alerted.includes(threshold) &&
+            (threshold === 0 ? remains === 0 : remainingPercent <= threshold)
+        );
+    }
+
+    /**
+     * Drop samples older than the retention period, keeping the last one before it
+     * so that the supply at the start of the period is still known
+     * @param {Object} entry - Supply history of a gift
+     * @param {number} now - Current time
+     * @private
+     */
+    _pruneSamples(entry, now) {
+        const cutoff = now - HISTORY_RETENTION_MS;
+        let start = 0;
+
+        while (start < entry.samples.length - 1 && entry.samples[start + 1].at <= cutoff) {
+            start++;
+        }
+
+        start = Math.max(start, entry.samples.length - MAX_SAMPLES);
+
+        if (start > 0) {
+            entry.samples.splice(0, start);
+        }
+    }
+
+    /**
+     * Get the supply statistics of a gift
+     * @param {string} giftId - Gift ID
+     * @returns {{giftId: string, title: string|null, total: number, remains: number, soldPercent: number,
+     *     velocityPerMinute: number|null, soldOutInMs: number|null, firstSeenAt: number, lastChangeAt: number,
+     *     lastSeenAt: number, samples: number}|null} Statistics, or null if the gift is not tracked
+     */
+    getStats(giftId) {
+        const entry = this.gifts[giftId];
+
+        if (!entry || entry.samples.length === 0) {
+            return null;
+        }
+
+        const latest = entry.samples[entry.samples.length - 1];
+        const velocityPerMinute = this._getVelocity(entry);
+        let soldOutInMs = null;
+
+        if (latest.remains === 0) {
+            soldOutInMs = 0;
+        } else if (velocityPerMinute) {
+            soldOutInMs = Math.round(latest.remains / velocityPerMinute * 60000);
+        }
+
+        return {
+            giftId,
+            title: entry.title,
+            total: entry.total,
+            remains: latest.remains,
+            soldPercent: Math.round((entry.total - latest.remains) / entry.total * 1000) / 10,
+            velocityPerMinute,
+            soldOutInMs,
+            firstSeenAt: entry.samples[0].at,
+            lastChangeAt: latest.at,
+            lastSeenAt: entry.lastSeenAt,
+            samples: entry.samples.length
+        };
+    }
+
+    /**
+     * Get the IDs of all tracked gifts
+     * @returns {Array<string>}
+     */
+    getTrackedGiftIds() {
+        return Object.keys(this.gifts);
+    }
+
+    /**
+     * Compute how many units of a gift sold per minute within the velocity window
+     * @param {Object} entry - Supply history of a gift
+     * @returns {number|null} Units per minute, or null if the gift was observed for too short a time
+     * @private
+     */
+    _getVelocity(entry) {
+        const now = entry.lastSeenAt;
+        const windowStart = now - this.settings.velocityWindowMs;
+        const latest = entry.samples[entry.samples.length - 1];
+
+        // Samples are only stored when the supply changes, so the last sample before
+        // the window holds the supply at the start of the window
+        let baseline = entry.samples[0];
+        for (const sample of entry.samples) {
+            if (sample.at > windowStart) {
+                break;
+            }
+            baseline = sample;
+        }
+
+        const elapsedMs = now - Math.max(baseline.at, windowStart);
+        if (elapsedMs <= 0) {
+            return null;
+        }
+
+        const sold = baseline.remains - latest.remains;
+        return Math.max(0, sold) / (elapsedMs / 60000);
+    }
+}
+
+module.exports = SupplyTracker;
@@ -6,8 +6,45 @@
 const { Bot, InlineKeyboard, InputFile } = require('grammy');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const AuditLog = require('./auditLog');
+
+/**
+ * Maximum length of a Telegram message text
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Bot commands shown in the Telegram command menu
+ * @type {Array<{command: string, description: string}>}
+ */
+const BOT_COMMANDS = [
+    { command: 'status', description: 'Uptime, last check and checker account' },
+    { command: 'accounts', description: 'Accounts and their target peers' },
+    { command: 'gifts', description: 'Current gift catalog with supply' },
+    { command: 'supply', description: 'Supply history and sell-out speed: /supply <giftId>' },
+    { command: 'pause', description: 'Pause auto-buy' },
+    { command: 'resume', description: 'Resume auto-buy' },
+    { command: 'interval', description: 'Change the check interval: /interval <ms>' }
+];
+
+/**
+ * Time after which an unconfirmed large purchase expires
+ * @type {number}
+ */
+const CONFIRMATION_TTL_MS = 60000;
 
 class TelegramController {
+    /**
+     * Controller user roles, each role includes the permissions of the previous ones
+     * @type {{VIEWER: string, BUYER: string, ADMIN: string}}
+     */
+    static ROLES = {
+        VIEWER: 'viewer',
+        BUYER: 'buyer',
+        ADMIN: 'admin'
+    };
+
     /**
      * Create a new Telegram controller
      * @param {Object} config - Configuration object
@@ -15,6 +52,8 @@ class TelegramController {
      * @param {string} config.botToken - Telegram bot token
      * @param {string} config.channelId - Channel ID where stickers and messages will be sent
      * @param {string} config.publicChannelId - Public channel ID where stickers and messages will be sent without purchase buttons
+     * @param {Array<{id: number, role: string}>} [config.users] - Users allowed to use the controller, empty for everyone in the channel
+     * @param {number} [config.confirmThreshold] - Quantity from which purchases need a second "Confirm" tap
      * @param {import('./giftService')} giftService - Gift service instance
      * @param {import('./logger').Logger} logger - Logger instance
      * @param {import('./clientManager')} [clientManager] - Client manager instance for downloading stickers
@@ -24,8 +63,11 @@ class TelegramController {
         this.giftService = giftService;
         this.logger = logger;
         this.clientManager = clientManager;
+        this.application = null;
         this.bot = null;
         this.isRunning = false;
+        this.auditLog = new AuditLog(logger);
+        this.pendingConfirmations = new Map(); // token -> { giftId, quantity, userId, createdAt }
 
         if (!this.config.enabled) {
             this.logger.warning('TelegramController: Controller is disabled. Set controller.botToken and controller.channelId in config.json file to enable it.');
@@ -42,10 +84,416 @@ class TelegramController {
             return;
         }
 
+        if (!this.hasAccessControl() && this.config.allowEveryone) {
+            this.logger.warning('TelegramController: controller.allowEveryone is set, everyone in the controller channel can use purchase buttons and commands');
+        } else if (!this.hasAccessControl()) {
+            this.logger.warning('TelegramController: No controller.users configured, purchase buttons and commands are denied to everyone');
+        }
+
         this.bot = new Bot(this.config.botToken);
+        this.setupCommandHandlers();
         this.setupCallbackQueryHandlers();
     }
 
+    /**
+     * Set up handlers for operational bot commands
+     * @private
+     */
+    setupCommandHandlers() {
+        const { VIEWER, ADMIN } = TelegramController.ROLES;
+        const commands = {
+            status: { role: VIEWER, handler: ctx => this.handleStatusCommand(ctx) },
+            accounts: { role: VIEWER, handler: ctx => this.handleAccountsCommand(ctx) },
+            gifts: { role: VIEWER, handler: ctx => this.handleGiftsCommand(ctx) },
+            supply: { role: VIEWER, handler: ctx => this.handleSupplyCommand(ctx) },
+            pause: { role: ADMIN, handler: ctx => this.handlePauseCommand(ctx, false) },
+            resume: { role: ADMIN, handler: ctx => this.handlePauseCommand(ctx, true) },
+            interval: { role: ADMIN, handler: ctx => this.handleIntervalCommand(ctx) }
+        };
+
+        for (const [command, { role, handler }] of Object.entries(commands)) {
+            this.bot.command(command, async (ctx) => {
+                if (!this.isCommandChat(ctx)) {
+                    return;
+                }
+
+                const allowed = this.hasRole(ctx.from, role);
+                this.audit(ctx.from, `/${command}`, allowed, { args: ctx.match || null, chatId: ctx.chat.id });
+
+                if (!allowed) {
+                    await ctx.reply(ctx.from
+                        ? `⛔️ You need the ${role} role to use /${command}.`
+                        : '⛔️ Commands sent on behalf of a channel cannot be authorized. Message the bot directly.');
+                    return;
+                }
+
+                try {
+                    await handler(ctx);
+                } catch (error) {
+                    this.logger.error(`Error handling /${command} command:`, error);
+                    await ctx.reply('An error occurred while processing your command.');
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether access control is enabled
+     * @returns {boolean}
+     * @private
+     */
+    hasAccessControl() {
+        return Array.isArray(this.config.users) && this.config.users.length > 0;
+    }
+
+    /**
+     * Get the controller role of a Telegram user.
+     * Without configured users nobody has a role, unless access control is turned off with allowEveryone
+     * @param {Object|undefined} user - Telegram user from the update
+     * @returns {string|null} - Role, or null if the user is not allowed to use the controller
+     * @private
+     */
+    getUserRole(user) {
+        if (!user) {
+            return null;
+        }
+
+        if (!this.hasAccessControl()) {
+            return this.config.allowEveryone ? TelegramController.ROLES.ADMIN : null;
+        }
+
+        const entry = this.config.users.find(configUser => String(configUser.id) === String(user.id));
+        return entry ? entry.role : null;
+    }
+
+    /**
+     * Check whether a Telegram user has at least the given role
+     * @param {Object|undefined} user - Telegram user from the update
+     * @param {string} requiredRole - Required role
+     * @returns {boolean}
+     * @private
+     */
+    hasRole(user, requiredRole) {
+        const ranks = Object.values(TelegramController.ROLES);
+        const role = this.getUserRole(user);
+
+        return role !== null && ranks.indexOf(role) >= ranks.indexOf(requiredRole);
+    }
+
+    /**
+     * Write a controller action to the audit log
+     * @param {Object|undefined} user - Telegram user from the update
+     * @param {string} action - Action name
+     * @param {boolean} allowed - Whether the action was allowed
+     * @param {Object} [details] - Action details
+     * @private
+     */
+    audit(user, action, allowed, details = {}) {
+        const entry = {
+            userId: user ? user.id : null,
+            username: user ? user.username || null : null,
+            role: this.getUserRole(user),
+            action,
+            allowed,
+            details
+        };
+
+        this.auditLog.record(entry);
+
+        const actor = user ? `${user.username ? '@' + user.username : user.id}` : 'unknown user';
+        if (allowed) {
+            this.logger.info(`Controller action ${action} by ${actor}`, details);
+        } else {
+            this.logger.warning(`Unauthorized controller action ${action} by ${actor}`, details);
+        }
+    }
+
+    /**
+     * Check whether an update comes from the controller channel
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {boolean}
+     * @private
+     */
+    isControllerChat(ctx) {
+        return !!ctx.chat && String(ctx.chat.id) === String(this.config.channelId);
+    }
+
+    /**
+     * Check whether commands are accepted in the chat of an update.
+     * Commands are accepted in the controller channel and, when access control is enabled, in private chats
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {boolean}
+     * @private
+     */
+    isCommandChat(ctx) {
+        return this.isControllerChat(ctx) ||
+            (this.hasAccessControl() && !!ctx.chat && ctx.chat.type === 'private');
+    }
+
+    /**
+     * Split message lines into texts that fit into a single Telegram message
+     * @param {Array<string>} lines - Message lines (HTML)
+     * @returns {Array<string>} Message texts
+     * @private
+     */
+    splitLines(lines) {
+        const chunks = [];
+        let chunk = '';
+
+        for (const line of lines) {
+            if (chunk.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+
+            chunk += `${line}\n`;
+        }
+
+        if (chunk.length > 0) {
+            chunks.push(chunk);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Reply with a long text, split into several messages if needed
+     * @param {import('grammy').Context} ctx - Update context
+     * @param {Array<string>} lines - Message lines (HTML)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async replyWithLines(ctx, lines) {
+        for (const chunk of this.splitLines(lines)) {
+            await ctx.reply(chunk, { parse_mode: 'HTML' });
+        }
+    }
+
+    /**
+     * Format a duration in seconds as a human-readable string
+     * @param {number} totalSeconds - Duration in seconds
+     * @returns {string} - Formatted duration, e.g. "1d 2h 3m 4s"
+     * @private
+     */
+    formatDuration(totalSeconds) {
+        const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+        const parts = [];
+        let remaining = Math.floor(totalSeconds);
+
+        for (const [suffix, seconds] of units) {
+            const value = Math.floor(remaining / seconds);
+            remaining -= value * seconds;
+
+            if (value > 0 || (parts.length === 0 && suffix === 's')) {
+                parts.push(`${value}${suffix}`);
+            }
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Handle the /status command
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleStatusCommand(ctx) {
+        const config = this.giftService.config;
+        const lastCheck = this.giftService.lastCheck;
+        const lines = ['<b>📊 Status</b>', ''];
+
+        lines.push(`Uptime: <b>${this.formatDuration(process.uptime())}</b>`);
+        lines.push(`Auto-buy: <b>${config.autoBuyEnabled ? 'enabled' : 'paused'}</b>${config.dryRun ? ' (dry run)' : ''}`);
+        lines.push(`Check interval: <b>${config.checkIntervalMs}ms</b>`);
+
+        if (lastCheck) {
+            const agoSeconds = (Date.now() - lastCheck.at.getTime()) / 1000;
+            lines.push(
+                `Last check: <b>${lastCheck.at.toISOString()}</b> (${this.formatDuration(agoSeconds)} ago), ` +
+                `latency <b>${lastCheck.latencyMs}ms</b>, by <b>${lastCheck.phoneNumber}</b>`
+            );
+        } else {
+            lines.push('Last check: <b>none yet</b>');
+        }
+
+        if (this.clientManager && this.clientManager.checkerPool) {
+            lines.push('', '<b>Checker accounts:</b>');
+
+            for (const checker of this.clientManager.checkerPool.getStatus()) {
+                let state = checker.healthy ? '✅ healthy' : `⚠️ ${checker.failures} failure(s)`;
+
+                if (checker.floodWaitUntil) {
+                    state = `⏳ flood wait until ${checker.floodWaitUntil.toISOString()}`;
+                } else if (checker.disabledUntil) {
+                    state = `⛔️ out of the pool until ${checker.disabledUntil.toISOString()}`;
+                }
+
+                lines.push(`• ${checker.phoneNumber}: ${state}`);
+            }
+        }
+
+        lines.push('', `Known gifts: <b>${this.giftService.giftIdsCache.size}</b>`);
+
+        await this.replyWithLines(ctx, lines);
+    }
+
+    /**
+     * Handle the /accounts command
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleAccountsCommand(ctx) {
+        const lines = ['<b>👥 Accounts</b>', ''];
+
+        for (const client of this.clientManager.getAllClients()) {
+            const account = this.clientManager.clientsMap.get(client);
+            const me = this.clientManager.getUserInfo(client);
+            const balance = this.giftService.balanceTracker.getBalance(client);
+
+            lines.push(`<b>${account.phoneNumber}</b> (${me.username ? '@' + this.escapeHtml(me.username) : me.id})`);
+            if (account.recipients.length === 1) {
+                lines.push(`  Target peer: <code>${this.escapeHtml(String(account.recipients[0].peer))}</code>`);
+            } else {
+                const recipients = account.recipients
+                    .map(recipient => `<code>${this.escapeHtml(String(recipient.peer))}</code>`)
+                    .join(', ');
+                lines.push(`  Recipients (${account.distribution}): ${recipients}`);
+            }
+
+            if (account.manualPeerId) {
+                lines.push(`  Manual peer: <code>${this.escapeHtml(String(account.manualPeerId))}</code>`);
+            }
+
+            lines.push(`  Balance: <b>${balance !== null ? balance + ' ⭐️' : 'unknown'}</b>`);
+        }
+
+        const initializedPhones = this.clientManager.getAllClients()
+            .map(client => this.clientManager.clientsMap.get(client).phoneNumber);
+        const failedAccounts = this.clientManager.accounts
+            .filter(account => !initializedPhones.includes(account.phoneNumber));
+
+        for (const account of failedAccounts) {
+            lines.push(`<b>${account.phoneNumber}</b>: ❌ not initialized`);
+        }
+
+        await this.replyWithLines(ctx, lines);
+    }
+
+    /**
+     * Handle the /gifts command
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleGiftsCommand(ctx) {
+        const gifts = [...this.giftService.giftsMap.values()].sort((a, b) =>
+            (a.availability?.total || Infinity) - (b.availability?.total || Infinity)
+        );
+
+        if (gifts.length === 0) {
+            await ctx.reply('The gift catalog is empty, no checks completed yet.');
+            return;
+        }
+
+        const lines = [`<b>🎁 Gift catalog (${gifts.length})</b>`, ''];
+
+        for (const gift of gifts) {
+            let supply = 'unlimited';
+
+            if (gift.availability) {
+                supply = `${gift.availability.remains}/${gift.availability.total}`;
+            }
+
+            const soldOut = gift.isSoldOut ? ' — sold out' : '';
+            lines.push(
+                `• ${this.escapeHtml(gift.title || 'Unknown')} <code>${gift.id}</code> — ${gift.purchaseStars} ⭐️ — ${supply}${soldOut}`
+            );
+        }
+
+        await this.replyWithLines(ctx, lines);
+    }
+
+    /**
+     * Handle the /supply command
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleSupplyCommand(ctx) {
+        const giftId = (ctx.match || '').trim();
+
+        if (!giftId) {
+            await ctx.reply('Usage: /supply <giftId>. Gift IDs are listed by /gifts.');
+            return;
+        }
+
+        const stats = this.giftService.supplyTracker.getStats(giftId);
+
+        if (!stats) {
+            await ctx.reply(`No supply history for gift ${giftId}. Only limited gifts are tracked.`);
+            return;
+        }
+
+        const now = Date.now();
+        const lines = [
+            `<b>📉 ${this.escapeHtml(stats.title || 'Unknown')}</b> <code>${stats.giftId}</code>`,
+            '',
+            `Remaining: <b>${stats.remains}/${stats.total}</b> (${stats.soldPercent}% sold)`
+        ];
+
+        if (stats.remains === 0) {
+            lines.push(`Sold out ${this.formatDuration((now - stats.lastChangeAt) / 1000)} ago`);
+        } else {
+            const velocity = stats.velocityPerMinute !== null ? stats.velocityPerMinute.toFixed(2) : 'unknown';
+            lines.push(`Sell-out speed: <b>${velocity}</b> units/min`);
+            lines.push(`Projected sell-out: ${stats.soldOutInMs !== null
+                ? `in ${this.formatDuration(stats.soldOutInMs / 1000)}`
+                : 'not selling'}`);
+        }
+
+        lines.push(`Last change: ${this.formatDuration((now - stats.lastChangeAt) / 1000)} ago`);
+        lines.push(`Tracked for: ${this.formatDuration((now - stats.firstSeenAt) / 1000)} (${stats.samples} samples)`);
+
+        await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    }
+
+    /**
+     * Handle the /pause and /resume commands
+     * @param {import('grammy').Context} ctx - Update context
+     * @param {boolean} enabled - Whether auto-buy should be enabled
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handlePauseCommand(ctx, enabled) {
+        this.giftService.setAutoBuyEnabled(enabled);
+        await ctx.reply(enabled ? '▶️ Auto-buy resumed' : '⏸ Auto-buy paused');
+    }
+
+    /**
+     * Handle the /interval command
+     * @param {import('grammy').Context} ctx - Update context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleIntervalCommand(ctx) {
+        const intervalMs = parseInt(ctx.match, 10);
+
+        if (!ctx.match || Number.isNaN(intervalMs) || intervalMs < 100) {
+            await ctx.reply(`Usage: /interval <ms> (minimum 100). Current interval: ${this.giftService.config.checkIntervalMs}ms`);
+            return;
+        }
+
+        if (!this.application) {
+            await ctx.reply('Changing the interval is not available.');
+            return;
+        }
+
+        this.application.setCheckInterval(intervalMs);
+        await ctx.reply(`⏱ Check interval set to ${intervalMs}ms`);
+    }
+
 
     /**
      * Set up callback query handlers for inline buttons
@@ -56,13 +504,12 @@ class TelegramController {
         this.bot.on('callback_query:data', async (ctx) => {
             try {
                 const data = ctx.callbackQuery.data;
-                const [action, giftId, quantity] = data.split(':');
+                const [action, ...args] = data.split(':');
 
                 if (action === 'purchase') {
-                    const quantityNum = quantity === 'all' ? 0 : parseInt(quantity, 10);
-                    await this.giftService.purchaseGiftsWithAllClients(giftId, quantityNum, true);
-                    
-                    await ctx.reply(`Started purchase of ${quantity === 'all' ? 'all available' : quantity} units of gift ${giftId}`);
+                    await this.handlePurchaseButton(ctx, args[0], args[1]);
+                } else if (action === 'confirm' || action === 'cancel') {
+                    await this.handleConfirmationButton(ctx, action, args[0]);
                 }
             } catch (error) {
                 this.logger.error('Error handling callback query:', error);
@@ -74,6 +521,161 @@ class TelegramController {
         });
     }
 
+    /**
+     * Handle a press of a purchase button
+     * @param {import('grammy').Context} ctx - Update context
+     * @param {string} giftId - Gift ID
+     * @param {string} quantity - Quantity per account or "all"
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handlePurchaseButton(ctx, giftId, quantity) {
+        const user = ctx.callbackQuery.from;
+        const allowed = this.hasRole(user, TelegramController.ROLES.BUYER);
+
+        this.audit(user, 'purchase', allowed, { giftId, quantity });
+
+        if (!allowed) {
+            await ctx.answerCallbackQuery({
+                text: '⛔️ You are not allowed to purchase gifts.',
+                show_alert: true
+            });
+            return;
+        }
+
+        if (this.needsConfirmation(quantity)) {
+            this.prunePendingConfirmations();
+
+            const token = uuidv4().slice(0, 8);
+            this.pendingConfirmations.set(token, { giftId, quantity, userId: user.id, createdAt: Date.now() });
+
+            const gift = this.giftService.giftsMap.get(giftId);
+            const title = gift ? this.escapeHtml(gift.title || 'Unknown') : giftId;
+            const keyboard = new InlineKeyboard()
+                .text('✅ Confirm', `confirm:${token}`)
+                .text('❌ Cancel', `cancel:${token}`);
+
+            await ctx.answerCallbackQuery();
+            await ctx.reply(
+                `⚠️ Confirm purchase of <b>${this.formatQuantity(quantity)}</b> units of <b>${title}</b> per account? ` +
+                `Requested by ${this.formatUser(user)}, expires in ${CONFIRMATION_TTL_MS / 1000}s.`,
+                { parse_mode: 'HTML', reply_markup: keyboard }
+            );
+            return;
+        }
+
+        await ctx.answerCallbackQuery({ text: 'Purchase started' });
+        await this.startPurchase(ctx, giftId, quantity, user);
+    }
+
+    /**
+     * Handle a press of a Confirm or Cancel button
+     * @param {import('grammy').Context} ctx - Update context
+     * @param {string} action - "confirm" or "cancel"
+     * @param {string} token - Pending confirmation token
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handleConfirmationButton(ctx, action, token) {
+        const user = ctx.callbackQuery.from;
+        this.prunePendingConfirmations();
+
+        const pending = this.pendingConfirmations.get(token);
+        const allowed = !!pending && String(pending.userId) === String(user.id) &&
+            this.hasRole(user, TelegramController.ROLES.BUYER);
+
+        this.audit(user, action, allowed, pending ? { giftId: pending.giftId, quantity: pending.quantity } : { token, expired: true });
+
+        if (!pending) {
+            await ctx.answerCallbackQuery({ text: 'This confirmation has expired.', show_alert: true });
+            await ctx.editMessageReplyMarkup().catch(() => {});
+            return;
+        }
+
+        if (!allowed) {
+            await ctx.answerCallbackQuery({
+                text: '⛔️ Only the user who requested this purchase can confirm it.',
+                show_alert: true
+            });
+            return;
+        }
+
+        this.pendingConfirmations.delete(token);
+        await ctx.answerCallbackQuery();
+
+        if (action === 'cancel') {
+            await ctx.editMessageText(`❌ Purchase cancelled by ${this.formatUser(user)}`, { parse_mode: 'HTML' });
+            return;
+        }
+
+        await ctx.editMessageText(`✅ Purchase confirmed by ${this.formatUser(user)}`, { parse_mode: 'HTML' });
+        await this.startPurchase(ctx, pending.giftId, pending.quantity, user);
+    }
+
+    /**
+     * Start a manual purchase with all clients in the background
+     * @param {import('grammy').Context} ctx - Update context
+     * @param {string} giftId - Gift ID
+     * @param {string} quantity - Quantity per account or "all"
+     * @param {Object} user - Telegram user who triggered the purchase
+     * @returns {Promise<void>}
+     * @private
+     */
+    async startPurchase(ctx, giftId, quantity, user) {
+        const quantityNum = quantity === 'all' ? 0 : parseInt(quantity, 10);
+
+        this.logger.warning(`Manual purchase of ${this.formatQuantity(quantity)} units of gift ${giftId} requested by ${user.username ? '@' + user.username : user.id}`);
+        await ctx.reply(`Started purchase of ${this.formatQuantity(quantity)} units of gift ${giftId}`);
+
+        // Not awaited: the bot handles updates one at a time, and /pause or /status must work while a purchase runs
+        this.giftService.purchaseGiftsWithAllClients(giftId, quantityNum, true)
+            .catch(error => this.logger.error(`Error in manual purchase of gift ${giftId}:`, error));
+    }
+
+    /**
+     * Check whether a purchase quantity needs a second confirmation
+     * @param {string} quantity - Quantity per account or "all"
+     * @returns {boolean}
+     * @private
+     */
+    needsConfirmation(quantity) {
+        return quantity === 'all' || parseInt(quantity, 10) >= this.config.confirmThreshold;
+    }
+
+    /**
+     * Drop pending confirmations that have expired
+     * @private
+     */
+    prunePendingConfirmations() {
+        const now = Date.now();
+
+        for (const [token, pending] of this.pendingConfirmations) {
+            if (now - pending.createdAt > CONFIRMATION_TTL_MS) {
+                this.pendingConfirmations.delete(token);
+            }
+        }
+    }
+
+    /**
+     * Format a purchase quantity for messages
+     * @param {string} quantity - Quantity per account or "all"
+     * @returns {string}
+     * @private
+     */
+    formatQuantity(quantity) {
+        return quantity === 'all' ? 'all available' : quantity;
+    }
+
+    /**
+     * Format a Telegram user for HTML messages
+     * @param {Object} user - Telegram user
+     * @returns {string}
+     * @private
+     */
+    formatUser(user) {
+        return user.username ? `@${this.escapeHtml(user.username)}` : `<code>${user.id}</code>`;
+    }
+
     /**
      * Start the bot in polling mode (non-blocking)
      * @returns {Promise<void>}
@@ -86,6 +688,9 @@ class TelegramController {
         try {
             this.isRunning = true;
             this.logger.info('Starting Telegram controller bot in polling mode...');
+
+            this.bot.api.setMyCommands(BOT_COMMANDS)
+                .catch(error => this.logger.error('Failed to set controller bot commands:', error));
             
             // Start the bot in non-blocking mode (don't await)
             this.bot.start({
@@ -121,13 +726,74 @@ class TelegramController {
         }
     }
 
+    /**
+     * Send a plain text notice to the controller channel
+     * @param {string} text - Message text (HTML)
+     * @returns {Promise<Object>} - Message object from Telegram
+     */
+    async sendNotice(text) {
+        if (!this.bot || !this.config.enabled) {
+            return { ok: false, error: 'Bot is not initialized or disabled' };
+        }
+
+        try {
+            const message = await this.bot.api.sendMessage(
+                this.config.channelId,
+                text,
+                { parse_mode: 'HTML' }
+            );
+
+            return { ok: true, message };
+        } catch (error) {
+            this.logger.error('Error sending notice to channel:', error);
+            return { ok: false, error: error.message };
+        }
+    }
+
+    /**
+     * Report gifts upgraded into collectibles after a purchase to the controller channel
+     * @param {Object} gift - Purchased gift
+     * @param {string} phoneNumber - Phone number of the account that upgraded the gifts
+     * @param {{upgrades: Array<Object>, skipped: number, stars: number}} result - Result of the auto-upgrade
+     * @returns {Promise<void>}
+     */
+    async sendUpgradeReport(gift, phoneNumber, result) {
+        const lines = [
+            `<b>✨ Upgraded ${this.escapeHtml(gift.title)} into collectibles</b>`,
+            `Account: <b>${this.escapeHtml(phoneNumber)}</b>`,
+            `Upgraded: <b>${result.upgrades.length}</b>, skipped: <b>${result.skipped}</b>, spent: <b>${result.stars} ⭐️</b>`
+        ];
+
+        for (const upgrade of result.upgrades) {
+            const title = upgrade.slug
+                ? `<a href="https://t.me/nft/${this.escapeHtml(upgrade.slug)}">${this.escapeHtml(upgrade.title)} #${upgrade.num}</a>`
+                : `${this.escapeHtml(upgrade.title)} #${upgrade.num ?? '?'}`;
+            const attributes = [upgrade.model, upgrade.pattern, upgrade.backdrop]
+                .filter(Boolean)
+                .map(attribute => this.escapeHtml(attribute))
+                .join(' · ');
+
+            lines.push('');
+            lines.push(`${title} → <code>${this.escapeHtml(upgrade.peerId)}</code>`);
+
+            if (attributes) {
+                lines.push(attributes);
+            }
+        }
+
+        for (const chunk of this.splitLines(lines)) {
+            await this.sendNotice(chunk);
+        }
+    }
+
     /**
      * Send a sticker for a new gift
      * @param {Object} gift - Gift object
      * @param {boolean} [toPublicChannel=false] - Whether to send to the public channel
+     * @param {Object|null} [decision] - Purchase decision for the gift, shown in the regular channel only
      * @returns {Promise<Object>} - Message object from Telegram
      */
-    async sendGiftSticker(gift, toPublicChannel = false) {
+    async sendGiftSticker(gift, toPublicChannel = false, decision = null) {
         const channelId = toPublicChannel ? this.config.publicChannelId : this.config.channelId;
         const channelType = toPublicChannel ? 'public channel' : 'channel';
         
@@ -223,7 +889,7 @@ class TelegramController {
             }
 
 
-            await this.sendGiftInfo(gift, stickerMessage.message_id, toPublicChannel);
+            await this.sendGiftInfo(gift, stickerMessage.message_id, toPublicChannel, decision);
             return { ok: true, message: stickerMessage };
         } catch (error) {
             this.logger.error(`Error sending gift sticker to ${channelType}:`, error);
@@ -236,10 +902,11 @@ class TelegramController {
      * @param {Object} gift - Gift object
      * @param {number} replyToMessageId - Message ID to reply to
      * @param {boolean} [toPublicChannel=false] - Whether to send to the public channel (without purchase buttons)
+     * @param {Object|null} [decision] - Purchase decision for the gift, shown in the regular channel only
      * @returns {Promise<Object>} - Message object from Telegram
      * @private
      */
-    async sendGiftInfo(gift, replyToMessageId, toPublicChannel = false) {
+    async sendGiftInfo(gift, replyToMessageId, toPublicChannel = false, decision = null) {
         const channelId = toPublicChannel ? this.config.publicChannelId : this.config.channelId;
         const channelType = toPublicChannel ? 'public channel' : 'channel';
         
@@ -256,7 +923,11 @@ class TelegramController {
         }
 
         try {
-            const messageText = this.formatGiftInfo(gift);
+            let messageText = this.formatGiftInfo(gift);
+
+            if (!toPublicChannel) {
+                messageText += this.formatPurchaseDecision(decision);
+            }
 
             // Only include purchase buttons for the regular channel
             const options = {
@@ -316,6 +987,41 @@ class TelegramController {
         return message;
     }
 
+    /**
+     * Format the purchase rule decision for a gift
+     * @param {Object|null} decision - Purchase decision returned by the purchase policy
+     * @returns {string} - Formatted message part
+     * @private
+     */
+    formatPurchaseDecision(decision) {
+        if (!decision) {
+            return `\n🛑 <b>Auto-buy:</b> no purchase rule matched\n`;
+        }
+
+        const autoBuyEnabled = !this.giftService || this.giftService.config.autoBuyEnabled;
+        const dryRun = this.giftService && this.giftService.config.dryRun;
+        let status = autoBuyEnabled ? '🛒 <b>Auto-buy:</b>' : '⏸ <b>Auto-buy disabled, would match:</b>';
+
+        if (autoBuyEnabled && dryRun) {
+            status = '🧪 <b>Auto-buy (dry run):</b>';
+        }
+
+        return `\n${status} ${this.escapeHtml(decision.explanation)}\n`;
+    }
+
+    /**
+     * Escape text for HTML parse mode
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     * @private
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     /**
      * Create an inline keyboard with purchase buttons
      * @param {string} giftId - Gift ID
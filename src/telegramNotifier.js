@@ -1,9 +1,44 @@
 /**
  * Telegram notification service
- * Sends notifications to Telegram channels based on log level
+ * Sends notifications to Telegram chats and forum topics chosen by routing rules,
+ * falling back to the channel of the log level
  */
 const https = require('https');
 const { LEVELS } = require('./logger');
+const { metrics } = require('./metricsRegistry');
+const { dataPath } = require('./dataStore');
+const { stringifyLogData } = require('./logRecord');
+const NotificationOutbox = require('./notificationOutbox');
+
+/**
+ * Maximum length of a Telegram message
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Minimum delay between two messages to the same chat, Telegram allows about one per second
+ * @type {number}
+ */
+const MIN_CHAT_INTERVAL_MS = 1000;
+
+/**
+ * Maximum number of messages to the same group or channel per minute
+ * @type {number}
+ */
+const MAX_CHAT_MESSAGES_PER_MINUTE = 20;
+
+/**
+ * Timeout of a Bot API request
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Separates the chat ID from the forum topic ID in outbox targets
+ * @type {string}
+ */
+const THREAD_SEPARATOR = '/';
 
 class TelegramNotifier {
     /**
@@ -14,36 +49,92 @@ class TelegramNotifier {
      * @param {string} [config.channelIds.INFO] - Channel ID for info messages
      * @param {string} [config.channelIds.SUCCESS] - Channel ID for success messages
      * @param {string} [config.channelIds.ERROR] - Channel ID for error messages
+     * @param {Array<{match: Object, chatId: string, threadId: number|null}>} [config.routes] - Routing rules, see setRoutes()
+     * @param {import('./logger').Logger} logger - Logger for delivery problems, tagged with the notifications component
+     * @param {string} [outboxPath] - Path of the file unsent notifications are stored in
      */
-    constructor(config) {
+    constructor(config, logger, outboxPath = dataPath('notification-outbox.json')) {
         this.botToken = config.botToken;
         this.channelIds = config.channelIds || {};
+        this.routes = config.routes || [];
+        this.logger = logger;
+        this.outbox = new NotificationOutbox(message => this._sendMessage(message.target, message.text), {
+            filePath: outboxPath,
+            maxLength: MAX_MESSAGE_LENGTH,
+            minIntervalMs: MIN_CHAT_INTERVAL_MS,
+            maxPerMinute: MAX_CHAT_MESSAGES_PER_MINUTE,
+            // Topics of a forum share the rate limits of the supergroup
+            chatOf: target => target.split(THREAD_SEPARATOR)[0],
+            logger
+        });
+
+        metrics.setCollector('gifts_notifier_outbox_size', () => this.outbox.size);
         
         if (!this.botToken) {
-            console.warn('TelegramNotifier: No bot token provided, notifications will be disabled');
+            this.logger.warning('TelegramNotifier: No bot token provided, notifications will be disabled');
         }
         
         if (!this.channelIds.INFO && 
             !this.channelIds.SUCCESS && 
-            !this.channelIds.ERROR) {
-            console.warn('TelegramNotifier: No channel IDs provided, notifications will be disabled');
+            !this.channelIds.ERROR &&
+            this.routes.length === 0) {
+            this.logger.warning('TelegramNotifier: No channel IDs provided, notifications will be disabled');
         }
+
+        this.outbox.load();
     }
 
     /**
-     * Send a message to a Telegram channel (non-blocking)
-     * @param {string} chatId - Telegram chat ID
+     * Replace the routing rules. Entries go to the chat of the first rule whose conditions
+     * all match; entries no rule matches go to the channel of their level
+     * @param {Array<{match: Object, chatId: string, threadId: number|null}>} routes - Routing rules in order
+     */
+    setRoutes(routes) {
+        this.routes = routes;
+    }
+
+    /**
+     * Find the chat a notification goes to
+     * @param {string} level - Log level
+     * @param {Object} context - Context fields of the log entry (component, account, event, giftId)
+     * @returns {string|null} Outbox target: the chat ID, followed by the forum topic ID if any
+     * @private
+     */
+    _resolveTarget(level, context) {
+        const matches = (values, value) => !values || (value != null && values.includes(String(value)));
+        const route = this.routes.find(({ match }) =>
+            matches(match.levels, level) &&
+            matches(match.components, context.component) &&
+            matches(match.accounts, context.account) &&
+            matches(match.events, context.event) &&
+            matches(match.giftIds, context.giftId)
+        );
+
+        if (route) {
+            return route.threadId ? `${route.chatId}${THREAD_SEPARATOR}${route.threadId}` : route.chatId;
+        }
+
+        const chatId = this.channelIds[level];
+        return chatId ? String(chatId) : null;
+    }
+
+    /**
+     * Send a message to a Telegram channel
+     * @param {string} target - Telegram chat ID, followed by the forum topic ID if any
      * @param {string} message - Message to send
-     * @returns {Object} - Immediate response object
+     * @returns {Promise<{ok: boolean, retryAfterSeconds?: number, permanent?: boolean, error?: string}>} Result for the outbox
      * @private
      */
-    _sendMessage(chatId, message) {
+    _sendMessage(target, message) {
+        const [chatId, threadId] = String(target).split(THREAD_SEPARATOR);
+
         if (!this.botToken || !chatId) {
-            return { ok: false, error: 'Missing bot token or chat ID' };
+            return Promise.resolve({ ok: false, permanent: true, error: 'Missing bot token or chat ID' });
         }
 
         const data = JSON.stringify({
             chat_id: chatId,
+            ...(threadId ? { message_thread_id: Number(threadId) } : {}),
             text: message,
             parse_mode: 'HTML',
             disable_web_page_preview: true
@@ -56,56 +147,84 @@ class TelegramNotifier {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Content-Length': data.length
-            }
+                'Content-Length': Buffer.byteLength(data)
+            },
+            timeout: REQUEST_TIMEOUT_MS
         };
 
-        const req = https.request(
-            options, 
-            (res) => {
-                let responseData = '';
+        return new Promise(resolve => {
+            const req = https.request(
+                options, 
+                (res) => {
+                    let responseData = '';
 
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
+                    res.on('data', (chunk) => {
+                        responseData += chunk;
+                    });
 
-                res.on('end', () => {
-                    try {
-                        const parsedData = JSON.parse(responseData);
-                        if (!parsedData.ok) {
-                            console.error('Telegram notification failed:', parsedData);
+                    res.on('end', () => {
+                        let parsedData;
+                        try {
+                            parsedData = JSON.parse(responseData);
+                        } catch (error) {
+                            metrics.inc('gifts_notifier_send_failures_total', { sink: 'telegram', reason: 'response' });
+                            resolve({ ok: false, error: `Failed to parse Telegram API response: ${error.message}` });
+                            return;
                         }
-                    } catch (error) {
-                        console.error(`Failed to parse Telegram API response: ${error.message}`);
-                    }
-                });
-            }
-        );
 
-        req.on('error', (error) => {
-            console.error(`Failed to send Telegram notification: ${error.message}`);
-        });
+                        if (parsedData.ok) {
+                            resolve({ ok: true });
+                            return;
+                        }
+
+                        const retryAfter = parsedData.parameters && parsedData.parameters.retry_after;
+                        if (parsedData.error_code === 429 && retryAfter != null) {
+                            metrics.inc('gifts_notifier_send_failures_total', { sink: 'telegram', reason: 'rate_limited' });
+                            resolve({ ok: false, retryAfterSeconds: retryAfter, error: parsedData.description });
+                            return;
+                        }
+
+                        metrics.inc('gifts_notifier_send_failures_total', { sink: 'telegram', reason: 'api' });
+                        resolve({
+                            ok: false,
+                            // Bad requests and missing rights fail the same way on every retry
+                            permanent: parsedData.error_code >= 400 && parsedData.error_code < 500,
+                            error: `${parsedData.error_code} ${parsedData.description}`
+                        });
+                    });
+                }
+            );
+
+            req.on('timeout', () => {
+                req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+            });
 
-        req.write(data);
-        req.end();
+            req.on('error', (error) => {
+                metrics.inc('gifts_notifier_send_failures_total', { sink: 'telegram', reason: 'network' });
+                resolve({ ok: false, error: error.message });
+            });
 
-        return { ok: true, message: 'Notification sent in background' };
+            req.write(data);
+            req.end();
+        });
     }
 
     /**
-     * Send a notification based on log level
+     * Send a notification to the chat the routing rules choose for it
      * @param {string} level - Log level
      * @param {string} message - Message to send
+     * @param {Object} [context] - Context fields of the log entry the rules match on
      * @returns {Object} - Response object
      */
-    notify(level, message) {
-        const chatId = this.channelIds[level];
+    notify(level, message, context = {}) {
+        const target = this._resolveTarget(level, context);
         
-        if (!chatId) {
-            return { ok: false, error: `No channel ID configured for level: ${level}` };
+        if (!target) {
+            return { ok: false, error: `No route or channel ID configured for level: ${level}` };
         }
 
-        return this._sendMessage(chatId, message);
+        this.outbox.enqueue(target, message);
+        return { ok: true, message: 'Notification queued' };
     }
 
     /**
@@ -135,15 +254,23 @@ class TelegramNotifier {
         return this.notify(LEVELS.ERROR, message);
     }
 
+    /**
+     * Send the queued notifications, waiting a few seconds at most, and store the rest for the next run
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return this.outbox.stop();
+    }
+
     /**
      * Create a log listener that sends notifications
      * @returns {Function} - Log listener function
      */
     createLogListener() {
         return (logEntry) => {
-            const { level, message, data } = logEntry;
+            const { level, message, data, context } = logEntry;
             
-            if (level === 'INFO') {
+            if (level === 'INFO' || NotificationOutbox.isDeliveryEntry(logEntry)) {
                 return;
             }
             
@@ -153,7 +280,7 @@ class TelegramNotifier {
                 if (typeof data === 'object') {
                     let data_json;
                     try {
-                        data_json = JSON.stringify(data, null, 2);
+                        data_json = stringifyLogData(data);
                     } catch (error) {
                         data_json = 'Error dumping value...';
                     }
@@ -164,7 +291,7 @@ class TelegramNotifier {
                 }
             }
             
-            this.notify(level, telegramMessage);
+            this.notify(level, telegramMessage, context);
         };
     }
 }
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { dataPath } = require('./dataStore');
+const { metrics } = require('./metricsRegistry');
+const { postJson, toDeliveryResult } = require('./httpRequest');
+const { stringifyLogRecord } = require('./logRecord');
+const NotificationOutbox = require('./notificationOutbox');
+
+/**
+ * Maximum number of requests to the webhook per minute
+ * @type {number}
+ */
+const MAX_REQUESTS_PER_MINUTE = 60;
+
+/**
+ * Notification sink that posts every log entry as a JSON record to an HTTP endpoint.
+ *
+ * The body is the same record the file log writes: timestamp, level, message, the context
+ * fields and the data. With a secret, the body is signed with HMAC-SHA256 and the signature
+ * is sent as "X-Signature-256: sha256=<hex>", so the receiver can verify the sender.
+ */
+class WebhookSink {
+    /**
+     * @param {Object} settings - Sink settings
+     * @param {string} settings.name - Sink name
+     * @param {string} settings.url - Endpoint URL
+     * @param {string|null} settings.secret - HMAC secret, null to send unsigned requests
+     * @param {import('./logger').Logger} logger - Logger for delivery problems
+     * @param {string} [outboxPath] - Path of the file unsent notifications are stored in
+     */
+    constructor(settings, logger, outboxPath = dataPath(`notification-outbox-${settings.name}.json`)) {
+        this.name = settings.name;
+        this.settings = settings;
+        this.outbox = new NotificationOutbox(message => this._send(message.text), {
+            filePath: outboxPath,
+            maxLength: Infinity,
+            minIntervalMs: 0,
+            maxPerMinute: MAX_REQUESTS_PER_MINUTE,
+            merge: false,
+            logger: logger.child({ sink: settings.name })
+        });
+        this.outbox.load();
+    }
+
+    /**
+     * Create a log listener that queues every entry for the webhook
+     * @returns {Function} Log listener
+     */
+    createLogListener() {
+        return entry => {
+            if (!NotificationOutbox.isDeliveryEntry(entry)) {
+                this.outbox.enqueue(this.name, stringifyLogRecord(entry));
+            }
+        };
+    }
+
+    /**
+     * Post a record to the endpoint
+     * @param {string} body - Serialized record
+     * @returns {Promise<{ok: boolean, retryAfterSeconds?: number, permanent?: boolean, error?: string}>} Result for the outbox
+     * @private
+     */
+    async _send(body) {
+        const headers = {};
+
+        if (this.settings.secret) {
+            const signature = crypto.createHmac('sha256', this.settings.secret).update(body).digest('hex');
+            headers['X-Signature-256'] = `sha256=${signature}`;
+        }
+
+        try {
+            const result = toDeliveryResult(await postJson(this.settings.url, body, headers));
+
+            if (!result.ok) {
+                metrics.inc('gifts_notifier_send_failures_total', {
+                    sink: this.name,
+                    reason: result.retryAfterSeconds != null ? 'rate_limited' : 'api'
+                });
+            }
+
+            return result;
+        } catch (error) {
+            metrics.inc('gifts_notifier_send_failures_total', { sink: this.name, reason: 'network' });
+            return { ok: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send the queued notifications, waiting a few seconds at most, and store the rest for the next run
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return this.outbox.stop();
+    }
+}
+
+module.exports = WebhookSink;
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdminApi = require('../src/adminApi');
+
+const TOKEN = 'test-token';
+const logger = { info() {}, warning() {}, error() {}, success() {} };
+
+/**
+ * Start an API on a free local port whose purchases resolve when the test says so
+ * @returns {Promise<{api: AdminApi, url: string, finishPurchase: Function}>}
+ */
+async function startApi() {
+    let finishPurchase = null;
+    const giftService = {
+        config: { autoBuyEnabled: true, dryRun: false, checkIntervalMs: 1000 },
+        lastCheck: null,
+        giftIdsCache: new Set(['100']),
+        giftsMap: new Map([['100', { id: 100n }]]),
+        purchaseGiftsWithAllClients: () => new Promise(resolve => { finishPurchase = resolve; })
+    };
+    const application = {
+        isRunning: true,
+        giftService,
+        clientManager: { accounts: [{ phoneNumber: '+10000000001' }], checkerPool: null }
+    };
+    const api = new AdminApi({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, application, logger);
+
+    api.auditLog = { record() {} };
+    await api.start();
+
+    return { api, url: `http://127.0.0.1:${api.server.address().port}`, finishPurchase: result => finishPurchase(result) };
+}
+
+/**
+ * Send a request to the API
+ * @param {string} url - Address of the request
+ * @param {Object} [options] - fetch options
+ * @param {string|null} [token] - Bearer token, null to send none
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(url, options = {}, token = TOKEN) {
+    const headers = token === null ? {} : { Authorization: `Bearer ${token}` };
+    const response = await fetch(url, { ...options, headers });
+
+    return { status: response.status, body: await response.json() };
+}
+
+test('requests without the right token are refused', async () => {
+    const { api, url } = await startApi();
+
+    try {
+        assert.strictEqual((await request(`${url}/api/status`, {}, null)).status, 401);
+        assert.strictEqual((await request(`${url}/api/status`, {}, 'wrong-token')).status, 401);
+        assert.strictEqual((await request(`${url}/api/pause`, { method: 'POST' }, 'wrong-token')).status, 401);
+        assert.strictEqual(api.application.giftService.config.autoBuyEnabled, true);
+
+        const status = await request(`${url}/api/status`);
+        assert.strictEqual(status.status, 200);
+        assert.strictEqual(status.body.autoBuyEnabled, true);
+    } finally {
+        await api.stop();
+    }
+});
+
+test('purchases are accepted at once and can be polled until they finish', async () => {
+    const { api, url, finishPurchase } = await startApi();
+
+    try {
+        const started = await request(`${url}/api/purchases`, { method: 'POST', body: JSON.stringify({ giftId: '100', quantity: 2 }) });
+        assert.strictEqual(started.status, 202);
+        assert.strictEqual(started.body.status, 'running');
+
+        let polled = await request(`${url}/api/purchases`);
+        assert.deepStrictEqual(polled.body.purchases.map(purchase => [purchase.purchaseId, purchase.status]),
+            [[started.body.purchaseId, 'running']]);
+
+        finishPurchase({ attempted: 2, succeeded: 1, elapsedMs: 5 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        polled = await request(`${url}/api/purchases`);
+        assert.strictEqual(polled.body.purchases[0].status, 'finished');
+        assert.deepStrictEqual(polled.body.purchases[0].result, { attempted: 2, succeeded: 1, elapsedMs: 5 });
+    } finally {
+        await api.stop();
+    }
+});
+
+test('purchases of unknown gifts or accounts are rejected', async () => {
+    const { api, url } = await startApi();
+
+    try {
+        assert.strictEqual((await request(`${url}/api/purchases`, { method: 'POST', body: '{"giftId": "999"}' })).status, 404);
+        assert.strictEqual((await request(`${url}/api/purchases`, { method: 'POST', body: '{"giftId": "100", "accounts": ["+19999999999"]}' })).status, 400);
+        assert.strictEqual((await request(`${url}/api/purchases`)).body.purchases.length, 0);
+    } finally {
+        await api.stop();
+    }
+});
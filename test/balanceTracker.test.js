@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BalanceTracker = require('../src/balanceTracker');
+const { Logger } = require('../src/logger');
+
+const CLIENT = {
+    getStarsTransactions: async () => ({ balance: { amount: 105n } })
+};
+
+/**
+ * Create a tracker for the test client
+ * @returns {BalanceTracker}
+ */
+function createTracker() {
+    const clientManager = { clientsMap: new Map([[CLIENT, { phoneNumber: '+10000000001' }]]), getAllClients: () => [CLIENT] };
+    return new BalanceTracker(clientManager, new Logger({ useConsole: false }));
+}
+
+test('the balance is unknown until it is fetched', async () => {
+    const tracker = createTracker();
+
+    assert.strictEqual(tracker.getBalance(CLIENT), null);
+    assert.strictEqual(tracker.affordableUnits(CLIENT, 10), null);
+
+    assert.strictEqual(await tracker.refresh(CLIENT), 105);
+    assert.strictEqual(tracker.getBalance(CLIENT), 105);
+});
+
+test('affordable units account for stars reserved by other purchases', async () => {
+    const tracker = createTracker();
+    await tracker.refreshAll();
+
+    assert.strictEqual(tracker.affordableUnits(CLIENT, 10), 10);
+    assert.strictEqual(tracker.affordableUnits(CLIENT, 10, 60), 4);
+    assert.strictEqual(tracker.affordableUnits(CLIENT, 10, 200), 0);
+    assert.strictEqual(tracker.affordableUnits(CLIENT, 0), Infinity);
+});
+
+test('spent stars are deducted until the next refresh', async () => {
+    const tracker = createTracker();
+    await tracker.refresh(CLIENT);
+
+    tracker.deduct(CLIENT, 100);
+    assert.strictEqual(tracker.getBalance(CLIENT), 5);
+    tracker.deduct(CLIENT, 100);
+    assert.strictEqual(tracker.getBalance(CLIENT), 0);
+
+    await tracker.refresh(CLIENT);
+    assert.strictEqual(tracker.getBalance(CLIENT), 105);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CheckerPool = require('../src/checkerPool');
+const { Logger } = require('../src/logger');
+
+const FIRST = { name: 'first' };
+const SECOND = { name: 'second' };
+
+/**
+ * Create a pool of the two test clients
+ * @param {Object} [options] - Pool options
+ * @returns {CheckerPool}
+ */
+function createPool(options = {}) {
+    return new CheckerPool(
+        [{ client: FIRST, phoneNumber: '+10000000001' }, { client: SECOND, phoneNumber: '+10000000002' }],
+        new Logger({ useConsole: false }),
+        options
+    );
+}
+
+test('failover polls with the first client until it fails too often', () => {
+    const pool = createPool({ maxFailures: 2 });
+
+    assert.strictEqual(pool.next(), FIRST);
+    pool.reportFailure(FIRST, new Error('TIMEOUT'));
+    assert.strictEqual(pool.next(), FIRST);
+    pool.reportFailure(FIRST, new Error('TIMEOUT'));
+
+    assert.strictEqual(pool.next(), SECOND);
+    assert.deepStrictEqual(pool.getStatus().map(status => [status.healthy, status.lastError]), [[false, 'TIMEOUT'], [true, null]]);
+});
+
+test('a client is probed again after the cooldown and comes back on success', async () => {
+    const pool = createPool({ maxFailures: 1, cooldownMs: 1 });
+
+    pool.reportFailure(FIRST, new Error('TIMEOUT'));
+    assert.strictEqual(pool.next(), SECOND);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(pool.next(), FIRST);
+
+    pool.reportSuccess(FIRST);
+    assert.strictEqual(pool.getStatus()[0].healthy, true);
+    assert.strictEqual(pool.getStatus()[0].failures, 0);
+});
+
+test('a flood wait takes a client out at once and pauses polling when every client waits', () => {
+    const pool = createPool({ maxFailures: 5 });
+
+    pool.reportFailure(FIRST, new Error('FLOOD_WAIT_30'));
+    assert.strictEqual(pool.next(), SECOND);
+    assert.strictEqual(pool.getWaitMs(), 0);
+
+    pool.reportFailure(SECOND, new Error('FLOOD_WAIT_10'));
+    const waitMs = pool.getWaitMs();
+    assert.ok(waitMs > 9000 && waitMs <= 10000, `waits ${waitMs}ms`);
+    assert.strictEqual(pool.next(), SECOND);
+});
+
+test('rotation polls with every healthy client in turn', () => {
+    const pool = createPool({ strategy: CheckerPool.STRATEGIES.ROTATE, maxFailures: 1 });
+
+    assert.deepStrictEqual([pool.next(), pool.next(), pool.next()], [FIRST, SECOND, FIRST]);
+
+    pool.reportFailure(SECOND, new Error('TIMEOUT'));
+    assert.deepStrictEqual([pool.next(), pool.next()], [FIRST, FIRST]);
+});
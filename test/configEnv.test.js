@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyEnvOverrides } = require('../src/configEnv');
+const ConfigValidationError = require('../src/configValidationError');
+
+const CONFIG = {
+    telegramAccounts: [{ phoneNumber: '+10000000001', apiId: 1, apiHash: 'file-hash' }],
+    controller: { botToken: 'file-token', channelId: '-100123' }
+};
+
+test('prefixed variables override settings by their path', () => {
+    const result = applyEnvOverrides(CONFIG, {
+        GIFTS_CONFIG_MAX_GIFT_SUPPLY: '5000',
+        GIFTS_CONFIG_DRY_RUN: 'true',
+        GIFTS_CONFIG_CONTROLLER__BOT_TOKEN: 'env-token',
+        GIFTS_CONFIG_TELEGRAM_ACCOUNTS__0__API_HASH: 'env-hash',
+        GIFTS_CONFIG_PURCHASE_RULES: '[{"quantity": 2}]'
+    });
+
+    assert.strictEqual(result.maxGiftSupply, 5000);
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.controller.botToken, 'env-token');
+    assert.strictEqual(result.controller.channelId, '-100123');
+    assert.strictEqual(result.telegramAccounts[0].apiHash, 'env-hash');
+    assert.deepStrictEqual(result.purchaseRules, [{ quantity: 2 }]);
+    assert.strictEqual(CONFIG.controller.botToken, 'file-token');
+});
+
+test('unrelated CONFIG_ variables are ignored', () => {
+    const result = applyEnvOverrides(CONFIG, { CONFIG_DIR: '/etc/app', CONFIG_FILE: 'config.json' });
+
+    assert.deepStrictEqual(result, CONFIG);
+});
+
+test('prefixed variables that name no setting or carry a bad value are rejected', () => {
+    assert.throws(() => applyEnvOverrides(CONFIG, { GIFTS_CONFIG_MAX_GIFT_SUPLY: '1' }), ConfigValidationError);
+    assert.throws(() => applyEnvOverrides(CONFIG, { GIFTS_CONFIG_MAX_GIFT_SUPPLY: 'many' }), ConfigValidationError);
+    assert.throws(() => applyEnvOverrides(CONFIG, { GIFTS_CONFIG_DRY_RUN: 'yes' }), ConfigValidationError);
+});
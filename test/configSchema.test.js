@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildConfig } = require('../src/configLoader');
+const ConfigValidationError = require('../src/configValidationError');
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'example.config.json'), 'utf8'));
+
+/**
+ * Build the example configuration with some settings replaced
+ * @param {Object} overrides - Top-level settings to replace
+ * @returns {Object} Processed configuration
+ */
+function buildExample(overrides) {
+    return buildConfig({ ...structuredClone(EXAMPLE), ...overrides });
+}
+
+/**
+ * Assert that building a configuration fails at a setting path
+ * @param {Object} overrides - Top-level settings to replace
+ * @param {string} expectedPath - Path reported by the error
+ */
+function assertRejected(overrides, expectedPath) {
+    assert.throws(() => buildExample(overrides), error =>
+        error instanceof ConfigValidationError && error.message.includes(`at ${expectedPath}:`)
+    );
+}
+
+test('the example configuration is valid', () => {
+    const config = buildExample({});
+
+    assert.strictEqual(config.accounts.length, EXAMPLE.telegramAccounts.length);
+    assert.strictEqual(config.adminApi.enabled, false);
+});
+
+test('unknown settings are rejected so typos do not fall back to defaults', () => {
+    assertRejected({ maxGiftSuply: 10 }, 'maxGiftSuply');
+});
+
+test('values are checked against their types and ranges', () => {
+    assertRejected({ checkIntervalMs: '500' }, 'checkIntervalMs');
+    assertRejected({ dryRun: 'yes' }, 'dryRun');
+    assertRejected({ testGiftId: 'abc' }, 'testGiftId');
+});
+
+test('settings that depend on each other are required together', () => {
+    assertRejected({ controller: { botToken: 'token' } }, 'controller.channelId');
+});
+
+test('rules may only refer to configured accounts', () => {
+    assertRejected({ purchaseRules: [{ accounts: ['+19999999999'] }] }, 'purchaseRules[0].accounts[0]');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigWatcher = require('../src/configWatcher');
+const { loadConfig } = require('../src/configLoader');
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'example.config.json'), 'utf8'));
+
+/**
+ * Create a watcher of a copy of the example configuration that records its warnings and applied changes
+ * @returns {{watcher: ConfigWatcher, config: Object, edit: Function, warnings: Array<string>, applied: Array<Array<string>>}}
+ */
+function createWatcher() {
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-watcher-')), 'config.json');
+    const warnings = [];
+    const applied = [];
+    const logger = { info() {}, error: message => warnings.push(message), warning: message => warnings.push(message) };
+
+    fs.writeFileSync(configPath, JSON.stringify(EXAMPLE));
+    const config = loadConfig(configPath);
+    const watcher = new ConfigWatcher(config, logger, changedKeys => applied.push(changedKeys), { configPath });
+
+    // Starting remembers the configuration edits are compared with; the tests reload by hand
+    watcher.start();
+    watcher.stop();
+
+    const edit = change => {
+        const data = structuredClone(EXAMPLE);
+        change(data);
+        fs.writeFileSync(configPath, JSON.stringify(data));
+        return watcher.reload();
+    };
+
+    return { watcher, config, edit, warnings, applied };
+}
+
+test('hot-reloadable settings are applied to the live configuration', () => {
+    const { config, edit, applied } = createWatcher();
+    const account = config.accounts[0];
+
+    const changedKeys = edit(data => {
+        data.maxGiftsToBuy = 5;
+        data.telegramAccounts[0].limits = { maxStarsPerDay: 1000 };
+        data.controller.confirmThreshold = 10;
+    });
+
+    assert.deepStrictEqual(changedKeys, ['maxGiftsToBuy', 'controller.confirmThreshold', 'accounts[+1234567890].limits']);
+    assert.deepStrictEqual(applied, [changedKeys]);
+    assert.strictEqual(config.maxGiftsToBuy, 5);
+    assert.strictEqual(config.controller.confirmThreshold, 10);
+    // Account objects are shared with the client manager and must be updated in place
+    assert.strictEqual(config.accounts[0], account);
+    assert.strictEqual(account.limits.maxStarsPerDay, 1000);
+});
+
+test('runtime changes survive edits of other settings', () => {
+    const { config, edit } = createWatcher();
+    config.checkIntervalMs = 2000;
+    config.autoBuyEnabled = false;
+
+    assert.deepStrictEqual(edit(data => { data.maxGiftSupply = 500; }), ['maxGiftSupply']);
+    assert.strictEqual(config.checkIntervalMs, 2000);
+    assert.strictEqual(config.autoBuyEnabled, false);
+});
+
+test('invalid edits are rejected and the last good configuration stays', () => {
+    const { config, edit, warnings, applied } = createWatcher();
+
+    assert.deepStrictEqual(edit(data => { data.maxGiftsToBuy = 'many'; }), []);
+    assert.strictEqual(config.maxGiftsToBuy, EXAMPLE.maxGiftsToBuy);
+    assert.match(warnings[0], /Rejected invalid config\.json edit/);
+    assert.deepStrictEqual(applied, []);
+});
+
+test('settings bound to running sessions are reported instead of applied', () => {
+    const { config, edit, warnings } = createWatcher();
+
+    assert.deepStrictEqual(edit(data => {
+        data.telegramAccounts[0].apiHash = 'another_hash';
+        data.controller.botToken = 'another_token';
+        data.checker.cooldownMs = 1000;
+    }), []);
+    assert.strictEqual(config.accounts[0].apiHash, EXAMPLE.telegramAccounts[0].apiHash);
+    assert.deepStrictEqual(warnings, ['config.json changes that require a restart were not applied: telegramAccounts, checker, controller']);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileLogSink = require('../src/fileLogSink');
+const { stringifyLogRecord } = require('../src/logRecord');
+
+/**
+ * Create a sink writing to a new temporary directory
+ * @param {Object} settings - Settings merged over the defaults
+ * @returns {{sink: FileLogSink, directory: string}}
+ */
+function createSink(settings = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-log-sink-'));
+    const sink = new FileLogSink({ directory, maxFileSizeMb: 1, maxFiles: 10, maxAgeDays: null, ...settings });
+
+    return { sink, directory };
+}
+
+/**
+ * Build a log entry
+ * @param {string} timestamp - ISO time of the entry
+ * @param {string} [message] - Log message
+ * @returns {Object} Log entry
+ */
+function entry(timestamp, message = 'x'.repeat(100)) {
+    return { timestamp: new Date(timestamp), level: 'INFO', message, context: {}, data: undefined };
+}
+
+/**
+ * Size limit in megabytes that fits two and a half test entries
+ * @type {number}
+ */
+const TWO_ENTRIES_MB = 2.5 * (stringifyLogRecord(entry('2026-03-01T10:00:00Z')).length + 1) / (1024 * 1024);
+
+test('a new file is started when the current one reaches the size limit', () => {
+    const { sink, directory } = createSink({ maxFileSizeMb: TWO_ENTRIES_MB });
+
+    for (let i = 0; i < 5; i++) {
+        sink.write(entry('2026-03-01T10:00:00Z'));
+    }
+    sink.close();
+
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(),
+        ['monitor-2026-03-01.1.jsonl', 'monitor-2026-03-01.2.jsonl', 'monitor-2026-03-01.jsonl']);
+    assert.strictEqual(fs.readFileSync(path.join(directory, 'monitor-2026-03-01.2.jsonl'), 'utf8').split('\n').length, 2);
+
+    const lines = fs.readdirSync(directory)
+        .flatMap(name => fs.readFileSync(path.join(directory, name), 'utf8').trim().split('\n'));
+    assert.strictEqual(lines.length, 5);
+    assert.strictEqual(JSON.parse(lines[0]).level, 'INFO');
+});
+
+test('a new file is started on a new day and writing resumes in the last part of the day', () => {
+    const { sink, directory } = createSink({ maxFileSizeMb: TWO_ENTRIES_MB });
+
+    sink.write(entry('2026-03-01T23:59:59Z'));
+    sink.write(entry('2026-03-02T00:00:00Z'));
+    sink.write(entry('2026-03-02T00:00:01Z'));
+    sink.write(entry('2026-03-02T00:00:02Z'));
+    sink.close();
+
+    const restarted = new FileLogSink(sink.settings);
+    restarted.write(entry('2026-03-02T00:00:03Z', 'after restart'));
+    restarted.close();
+
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(),
+        ['monitor-2026-03-01.jsonl', 'monitor-2026-03-02.1.jsonl', 'monitor-2026-03-02.jsonl']);
+    assert.ok(fs.readFileSync(path.join(directory, 'monitor-2026-03-02.1.jsonl'), 'utf8').includes('after restart'));
+});
+
+test('the oldest files are deleted beyond the file count and the retention period', () => {
+    const { sink, directory } = createSink({ maxFiles: 2, maxAgeDays: 30 });
+    const today = new Date().toISOString().slice(0, 10);
+
+    fs.writeFileSync(path.join(directory, 'monitor-2000-01-01.jsonl'), '');
+    fs.writeFileSync(path.join(directory, `monitor-${today}.jsonl`), '');
+    fs.writeFileSync(path.join(directory, 'unrelated.txt'), '');
+
+    sink.write(entry(new Date().toISOString()));
+    sink.write(entry(new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()));
+    sink.close();
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(),
+        [`monitor-${today}.jsonl`, `monitor-${tomorrow}.jsonl`, 'unrelated.txt']);
+});
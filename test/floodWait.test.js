@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getFloodWaitSeconds, isFloodWaitError } = require('../src/floodWait');
+
+test('MTProto wait errors carry the seconds in their name', () => {
+    assert.strictEqual(getFloodWaitSeconds({ text: 'FLOOD_WAIT_30', message: 'A wait of 30 seconds is required' }), 30);
+    assert.strictEqual(getFloodWaitSeconds(new Error('FLOOD_PREMIUM_WAIT_7')), 7);
+    assert.strictEqual(getFloodWaitSeconds(new Error('SLOWMODE_WAIT_15')), 15);
+});
+
+test('Bot API messages and explicit seconds are recognized', () => {
+    assert.strictEqual(getFloodWaitSeconds(new Error('Too Many Requests: retry after 5')), 5);
+    assert.strictEqual(getFloodWaitSeconds({ text: 'FLOOD_WAIT_X', seconds: 12 }), 12);
+});
+
+test('other errors are not rate-limit errors', () => {
+    assert.strictEqual(getFloodWaitSeconds(new Error('BALANCE_TOO_LOW')), null);
+    assert.strictEqual(getFloodWaitSeconds({ text: 'PEER_ID_INVALID', seconds: 3 }), null);
+    assert.strictEqual(getFloodWaitSeconds(null), null);
+    assert.strictEqual(isFloodWaitError(new Error('STARGIFT_USAGE_LIMITED')), false);
+    assert.strictEqual(isFloodWaitError(new Error('FLOOD_WAIT_1')), true);
+});
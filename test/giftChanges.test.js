@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GiftCatalogStore = require('../src/giftCatalogStore');
+const { GIFT_CHANGE_TYPES, diffGiftSnapshots, delistedChange, describeGiftChange } = require('../src/giftChanges');
+
+const GIFT = {
+    id: 100n,
+    title: 'Rocket',
+    purchaseStars: 500n,
+    upgradeStars: null,
+    isPremiumOnly: false,
+    availability: { remains: 900, total: 1000 },
+    perUserAvailability: null
+};
+
+/**
+ * Diff the snapshot of the test gift against a changed copy
+ * @param {Object} changes - Fields of the gift that changed
+ * @param {Object} [previous] - Fields of the previous snapshot
+ * @returns {Array<Object>} Change events
+ */
+function diff(changes, previous = {}) {
+    return diffGiftSnapshots(
+        { ...GiftCatalogStore.snapshotGift(GIFT), ...previous },
+        GiftCatalogStore.snapshotGift({ ...GIFT, ...changes })
+    );
+}
+
+test('an unchanged gift and a lower remaining supply produce no events', () => {
+    assert.deepStrictEqual(diff({}), []);
+    assert.deepStrictEqual(diff({ availability: { remains: 10, total: 1000 } }), []);
+});
+
+test('field changes are reported with their old and new values', () => {
+    assert.deepStrictEqual(diff({ purchaseStars: 750n }), [
+        { type: GIFT_CHANGE_TYPES.PRICE_CHANGED, giftId: '100', title: 'Rocket', from: 500, to: 750 }
+    ]);
+    assert.deepStrictEqual(diff({ availability: { remains: 900, total: 2000 }, isPremiumOnly: true }).map(change => change.type), [
+        GIFT_CHANGE_TYPES.PREMIUM_ONLY_CHANGED,
+        GIFT_CHANGE_TYPES.SUPPLY_CHANGED
+    ]);
+});
+
+test('optional values are reported as added, removed or changed', () => {
+    assert.strictEqual(diff({ upgradeStars: 100n })[0].type, GIFT_CHANGE_TYPES.UPGRADE_AVAILABLE);
+    assert.strictEqual(diff({}, { upgradeStars: 100 })[0].type, GIFT_CHANGE_TYPES.UPGRADE_UNAVAILABLE);
+    assert.strictEqual(diff({ upgradeStars: 200n }, { upgradeStars: 100 })[0].type, GIFT_CHANGE_TYPES.UPGRADE_PRICE_CHANGED);
+    assert.deepStrictEqual(diff({ perUserAvailability: { remains: 1, total: 1 } }).map(change => [change.type, change.to]),
+        [[GIFT_CHANGE_TYPES.PER_USER_LIMIT_ADDED, 1]]);
+});
+
+test('delisted gifts are reported and come back as relisted', () => {
+    const snapshot = GiftCatalogStore.snapshotGift(GIFT);
+    const delisted = delistedChange(snapshot);
+
+    assert.strictEqual(delisted.type, GIFT_CHANGE_TYPES.DELISTED);
+    assert.strictEqual(describeGiftChange(delisted), 'Gift Rocket (ID: 100) was removed from the catalog');
+    assert.deepStrictEqual(diff({}, { delisted: true }).map(change => change.type), [GIFT_CHANGE_TYPES.RELISTED]);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Persistent files (spending totals, ledger, catalog) go to a temporary data directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'gift-service-')));
+
+const GiftService = require('../src/giftService');
+const { Logger } = require('../src/logger');
+
+const GIFT = { id: 100n, title: 'Test gift', purchaseStars: 10, availabilityTotal: 1000, availabilityRemains: 900 };
+
+/**
+ * Create a gift service with one account whose client manager records the recipient calls
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Whether purchases are simulated
+ * @param {Function} [options.sendStarGift] - Replacement of client.sendStarGift
+ * @param {Object} [options.limits] - Spending caps of the account
+ * @returns {{service: GiftService, client: Object, calls: Array<Array>, sent: Array<Object>}}
+ */
+function createService({ dryRun = false, sendStarGift, limits = {} } = {}) {
+    const calls = [];
+    const sent = [];
+    const client = {
+        sendStarGift: sendStarGift || (async options => { sent.push(options); return { id: sent.length }; })
+    };
+    const account = { phoneNumber: '+10000000001', limits, delivery: {}, recipients: [], distribution: 'round-robin' };
+    const clientManager = {
+        clientsMap: new Map([[client, account]]),
+        getAllClients: () => [client],
+        getUserInfo: () => ({ id: 1, username: 'buyer' }),
+        getTargetPeerId: (...args) => { calls.push(['next', ...args]); return 'recipient'; },
+        recordDelivery: (...args) => { calls.push(['delivered', ...args]); },
+        releaseTargetPeerId: (...args) => { calls.push(['released', ...args]); }
+    };
+    const config = {
+        dryRun,
+        purchaseConcurrency: 1,
+        purchaseRules: [],
+        supplyTracking: { alertThresholds: [], velocityWindowMs: 600000 },
+        floodWait: { maxPurchaseWaitSeconds: 60 }
+    };
+    const service = new GiftService(clientManager, config, new Logger({ useConsole: false }));
+
+    service.ledgerEntries = [];
+    service.ledger = { record: entry => service.ledgerEntries.push(entry) };
+    service.balanceTracker.refresh = async () => null;
+    // The spending file is shared by the tests, each of them starts with nothing spent
+    service.spendingTracker.daily = {};
+    service.spendingTracker.gifts = {};
+
+    return { service, client, calls, sent };
+}
+
+test('dry runs take recipients from the simulated distribution', async () => {
+    const { service, client, calls, sent } = createService({ dryRun: true });
+
+    await service.purchaseGift(client, GIFT, 2);
+
+    assert.strictEqual(sent.length, 0);
+    // The dry run flag is the last argument of every recipient call
+    assert.deepStrictEqual(calls.map(call => [call[0], call[call.length - 1]]), [
+        ['next', true], ['delivered', true], ['next', true], ['delivered', true]
+    ]);
+    assert.strictEqual(service.spendingTracker.getSpentToday('+10000000001'), 0);
+    assert.strictEqual(service.dryRunSpendingTracker.getSpentToday('+10000000001'), 20);
+});
+
+test('a unit whose purchase throws is written to the ledger as failed and frees its recipient', async () => {
+    const { service, client, calls } = createService();
+    service._attemptGiftPurchase = async () => { throw new Error('unexpected'); };
+
+    await service.purchaseGift(client, GIFT, 1);
+
+    assert.strictEqual(service.ledgerEntries.length, 1);
+    assert.strictEqual(service.ledgerEntries[0].status, 'failed');
+    assert.strictEqual(service.ledgerEntries[0].error, 'unexpected');
+    assert.deepStrictEqual(calls.map(call => call[0]), ['next', 'released']);
+    assert.deepStrictEqual(service.spendingTracker.pending, {});
+});
+
+test('purchases lower the cached balance, so later plans do not count on spent stars', async () => {
+    const { service, client, sent } = createService();
+    service.giftsMap.set('100', GIFT);
+    service.balanceTracker.balances.set(client, { stars: 25, updatedAt: new Date() });
+
+    await service.purchaseGiftsWithAllClients('100', 2, true);
+    assert.strictEqual(service.balanceTracker.getBalance(client), 5);
+
+    await service.purchaseGiftsWithAllClients('100', 2, true);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(service.balanceTracker.getBalance(client), 5);
+});
+
+test('a purchase rate limited for longer than allowed stops without waiting', async () => {
+    let requests = 0;
+    const { service, client } = createService({
+        sendStarGift: async () => {
+            requests++;
+            throw Object.assign(new Error('A wait of 120 seconds is required'), { text: 'FLOOD_WAIT_120' });
+        }
+    });
+
+    await service.purchaseGift(client, GIFT, 3);
+
+    assert.strictEqual(requests, 1);
+    assert.deepStrictEqual(service.ledgerEntries.map(entry => entry.status), ['failed']);
+});
+
+test('an account stops buying when its daily cap is reached', async () => {
+    const { service, client, sent } = createService({ limits: { maxStarsPerDay: 25 } });
+
+    await service.purchaseGift(client, GIFT, 5);
+
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(service.spendingTracker.getSpentToday('+10000000001'), 20);
+    assert.deepStrictEqual(service.spendingTracker.pending, {});
+});
+
+test('the balance is planned for gifts in order, so later gifts get what is left', () => {
+    const { service, client } = createService();
+    const expensive = { ...GIFT, id: 200n, title: 'Expensive gift', purchaseStars: 20 };
+    service.balanceTracker.balances.set(client, { stars: 45, updatedAt: new Date() });
+
+    const plan = service._planPurchases([GIFT, expensive, { ...GIFT, id: 300n }], 2, null);
+
+    // 2 × 10 and 1 × 20 stars leave 5, too few for the last gift, which is skipped for the account
+    assert.deepStrictEqual(plan.map(entry => entry.allocations.get(client)), [2, 1, undefined]);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stringifyLogRecord, stringifyLogData } = require('../src/logRecord');
+
+/**
+ * Serialize a log entry with some data and parse the record back
+ * @param {*} data - Data of the entry
+ * @returns {Object} Parsed record
+ */
+function roundTrip(data) {
+    return JSON.parse(stringifyLogRecord({
+        timestamp: new Date('2026-01-02T03:04:05Z'),
+        level: 'ERROR',
+        message: 'Test',
+        context: { component: 'giftService' },
+        data
+    }));
+}
+
+test('records carry the entry fields, context and data', () => {
+    assert.deepStrictEqual(roundTrip({ giftId: 5n }), {
+        timestamp: '2026-01-02T03:04:05.000Z',
+        level: 'ERROR',
+        message: 'Test',
+        component: 'giftService',
+        data: { giftId: '5' }
+    });
+});
+
+test('buffers and typed arrays are written as their size', () => {
+    assert.deepStrictEqual(roundTrip({ payload: Buffer.from('hello'), bytes: new Uint8Array(3) }).data,
+        { payload: '<5 bytes>', bytes: '<3 bytes>' });
+    assert.strictEqual(stringifyLogData(Buffer.alloc(2)), '"<2 bytes>"');
+});
+
+test('only real cycles are cut, shared objects are written each time', () => {
+    const shared = { id: 1 };
+    const cyclic = { name: 'loop', shared: [shared, shared] };
+    cyclic.self = cyclic;
+
+    assert.deepStrictEqual(roundTrip(cyclic).data, {
+        name: 'loop',
+        shared: [{ id: 1 }, { id: 1 }],
+        self: '[Circular]'
+    });
+});
+
+test('errors are expanded with their own fields', () => {
+    const error = new Error('boom');
+    error.code = 'E_TEST';
+
+    const data = roundTrip({ error }).data.error;
+    assert.strictEqual(data.message, 'boom');
+    assert.strictEqual(data.code, 'E_TEST');
+    assert.ok(data.stack.includes('boom'));
+});
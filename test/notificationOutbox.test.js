@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationOutbox = require('../src/notificationOutbox');
+
+const logger = { info() {}, warning() {}, error() {}, success() {} };
+
+/**
+ * Create an outbox that records the texts it sends and answers the first request slowly,
+ * so the following messages wait in the queue
+ * @returns {{outbox: NotificationOutbox, sent: Array<string>, directory: string}}
+ */
+function createOutbox() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const sent = [];
+    const outbox = new NotificationOutbox(async message => {
+        if (sent.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        sent.push(message.text);
+        return { ok: true };
+    }, {
+        filePath: path.join(directory, 'outbox.json'),
+        maxLength: 4096,
+        minIntervalMs: 0,
+        maxPerMinute: 100,
+        logger
+    });
+
+    return { outbox, sent, directory };
+}
+
+test('purchase successes that differ only in numbers are all delivered', async () => {
+    const { outbox, sent, directory } = createOutbox();
+
+    outbox.enqueue('chat', 'Starting up');
+    outbox.enqueue('chat', '<b>[SUCCESS]</b> Gift purchase successful for user 111 on attempt 1');
+    outbox.enqueue('chat', '<b>[SUCCESS]</b> Gift purchase successful for user 222 on attempt 2');
+    await outbox.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    const text = sent.join('\n');
+    assert.ok(text.includes('user 111 on attempt 1'));
+    assert.ok(text.includes('user 222 on attempt 2'));
+    assert.ok(!text.includes('identical messages'));
+});
+
+test('identical messages are merged while the chat waits', async () => {
+    const { outbox, sent, directory } = createOutbox();
+
+    outbox.enqueue('chat', 'Starting up');
+    outbox.enqueue('chat', 'Checker client switched');
+    outbox.enqueue('chat', 'Checker client switched');
+    await outbox.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    assert.deepStrictEqual(sent, ['Starting up', 'Checker client switched\n(2 identical messages)']);
+});
+
+test('delivery problems go to the logger and are skipped by notification listeners', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const logged = [];
+    const outbox = new NotificationOutbox(async () => ({ ok: false, permanent: true, error: 'chat not found' }), {
+        filePath: path.join(directory, 'outbox.json'),
+        maxLength: 4096,
+        minIntervalMs: 0,
+        maxPerMinute: 100,
+        logger: { ...logger, error: message => logged.push(message) }
+    });
+
+    outbox.enqueue('chat', 'Hello');
+    await outbox.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    assert.deepStrictEqual(logged, ['Dropping notification to chat: chat not found']);
+    assert.strictEqual(NotificationOutbox.isDeliveryEntry({ context: { component: 'notifications' } }), true);
+    assert.strictEqual(NotificationOutbox.isDeliveryEntry({ context: { component: 'giftService' } }), false);
+});
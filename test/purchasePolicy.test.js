@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PurchasePolicy = require('../src/purchasePolicy');
+
+/**
+ * Build a processed purchase rule
+ * @param {Object} overrides - Fields replacing the defaults
+ * @returns {Object} Purchase rule
+ */
+function rule(overrides) {
+    return { name: 'rule', priority: 0, quantity: 1, accounts: null, delivery: null, autoUpgrade: null, on: null, match: {}, ...overrides };
+}
+
+const GIFT = { id: 1n, purchaseStars: 500, availability: { total: 1000 }, isPremiumOnly: false, upgradeStars: null, releasedBy: null };
+
+test('the matching rule with the highest priority decides', () => {
+    const policy = new PurchasePolicy([
+        rule({ name: 'cheap', priority: 1, quantity: 5, match: { purchaseStars: { max: 1000 } } }),
+        rule({ name: 'rare', priority: 10, quantity: 2, accounts: ['+10000000001'], match: { availabilityTotal: { max: 5000 } } }),
+        rule({ name: 'tiny', priority: 20, match: { availabilityTotal: { max: 100 } } })
+    ]);
+
+    const decision = policy.evaluate(GIFT);
+
+    assert.strictEqual(decision.rule, 'rare');
+    assert.strictEqual(decision.quantity, 2);
+    assert.deepStrictEqual(decision.accounts, ['+10000000001']);
+    assert.strictEqual(decision.trigger, null);
+    assert.match(decision.explanation, /availability\.total 1000 ≤ 5000/);
+});
+
+test('gifts that match no rule are not bought', () => {
+    const policy = new PurchasePolicy([rule({ match: { purchaseStars: { min: 1000 } } })]);
+
+    assert.strictEqual(policy.evaluate(GIFT), null);
+    assert.strictEqual(policy.evaluate({ ...GIFT, availability: null }, null), null);
+});
+
+test('optional values match by presence or by range', () => {
+    const upgradable = new PurchasePolicy([rule({ match: { upgradeStars: true } })]);
+    const cheapUpgrade = new PurchasePolicy([rule({ match: { upgradeStars: { max: 100 } } })]);
+
+    assert.strictEqual(upgradable.evaluate(GIFT), null);
+    assert.notStrictEqual(upgradable.evaluate({ ...GIFT, upgradeStars: 50n }), null);
+    assert.strictEqual(cheapUpgrade.evaluate({ ...GIFT, upgradeStars: 500n }), null);
+    assert.notStrictEqual(cheapUpgrade.evaluate({ ...GIFT, upgradeStars: 50n }), null);
+});
+
+test('releasedBy matches usernames regardless of case and the leading @', () => {
+    const policy = new PurchasePolicy([rule({ match: { releasedBy: ['@Artist'] } })]);
+
+    assert.notStrictEqual(policy.evaluate({ ...GIFT, releasedBy: { username: 'artist' } }), null);
+    assert.strictEqual(policy.evaluate({ ...GIFT, releasedBy: { username: 'someone' } }), null);
+    assert.strictEqual(policy.evaluate(GIFT), null);
+});
+
+test('rules with triggers apply only to changes of known gifts', () => {
+    const policy = new PurchasePolicy([
+        rule({ name: 'relisted', on: ['relisted', 'price_changed'] }),
+        rule({ name: 'new' })
+    ]);
+
+    assert.strictEqual(policy.evaluate(GIFT).rule, 'new');
+    assert.strictEqual(policy.evaluate(GIFT, [{ type: 'price_changed' }]).trigger, 'price_changed');
+    assert.strictEqual(policy.evaluate(GIFT, [{ type: 'supply_changed' }]), null);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RecipientSelector = require('../src/recipientSelector');
+
+test('fill counts units in flight against the recipient limit', () => {
+    const selector = new RecipientSelector([
+        { peer: 'first', weight: 1, limit: 2 },
+        { peer: 'second', weight: 1, limit: null }
+    ], RecipientSelector.STRATEGIES.FILL);
+
+    // Four concurrent units pick their recipients before any of them is delivered
+    const peers = [1, 2, 3, 4].map(() => selector.next('gift'));
+
+    assert.deepStrictEqual(peers, ['first', 'first', 'second', 'second']);
+});
+
+test('fill gives a released slot to the next unit', () => {
+    const selector = new RecipientSelector([
+        { peer: 'first', weight: 1, limit: 1 },
+        { peer: 'second', weight: 1, limit: null }
+    ], RecipientSelector.STRATEGIES.FILL);
+
+    const failed = selector.next('gift');
+    assert.strictEqual(selector.next('gift'), 'second');
+
+    selector.release('gift', failed);
+    const retried = selector.next('gift');
+    assert.strictEqual(retried, 'first');
+
+    selector.recordDelivery('gift', retried);
+    assert.strictEqual(selector.next('gift'), 'second');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SpendingTracker = require('../src/spendingTracker');
+const { Logger } = require('../src/logger');
+
+/**
+ * Create a tracker that keeps its totals in memory
+ * @returns {SpendingTracker}
+ */
+function createTracker() {
+    return new SpendingTracker(new Logger({ useConsole: false }), null);
+}
+
+/**
+ * Build an account with spending caps
+ * @param {Object} limits - Spending caps
+ * @returns {Object} Account configuration
+ */
+function account(limits) {
+    return { phoneNumber: '+10000000001', limits: { maxStarsPerDay: null, maxStarsPerGift: null, maxUnitsPerGift: null, ...limits } };
+}
+
+test('accounts without caps may always buy', () => {
+    const tracker = createTracker();
+    tracker.record('+10000000001', '100', 1000000);
+
+    assert.deepStrictEqual(tracker.check(account({}), '100', 500), { allowed: true });
+});
+
+test('the daily cap counts every gift bought today', () => {
+    const tracker = createTracker();
+    const capped = account({ maxStarsPerDay: 1000 });
+
+    tracker.record('+10000000001', '100', 600);
+    assert.strictEqual(tracker.check(capped, '200', 400).allowed, true);
+
+    const result = tracker.check(capped, '200', 401);
+    assert.strictEqual(result.allowed, false);
+    assert.match(result.reason, /maxStarsPerDay would be exceeded \(600 \+ 401 > 1000\)/);
+    assert.strictEqual(tracker.getSpentToday('+10000000001'), 600);
+});
+
+test('per-gift caps count stars and units of that gift only', () => {
+    const tracker = createTracker();
+    const capped = account({ maxStarsPerGift: 1000, maxUnitsPerGift: 2 });
+
+    tracker.record('+10000000001', '100', 500);
+    tracker.record('+10000000001', '100', 400);
+
+    assert.match(tracker.check(capped, '100', 50).reason, /maxUnitsPerGift reached \(2\/2\)/);
+    assert.match(tracker.check(capped, '100', 200, 0).reason, /maxStarsPerGift would be exceeded/);
+    assert.strictEqual(tracker.check(capped, '100', 100, 0).allowed, true);
+    assert.strictEqual(tracker.check(capped, '200', 1000).allowed, true);
+    assert.deepStrictEqual(tracker.getGiftTotals('+10000000001', '100'), { stars: 900, units: 2 });
+});
+
+test('purchases in flight count against the caps until they are released', () => {
+    const tracker = createTracker();
+    const capped = account({ maxStarsPerDay: 1000, maxUnitsPerGift: 2 });
+
+    tracker.reserve('+10000000001', '100', 500);
+    tracker.reserve('+10000000001', '100', 500);
+    assert.strictEqual(tracker.check(capped, '200', 1).allowed, false);
+    assert.match(tracker.check(capped, '100', 1).reason, /maxUnitsPerGift/);
+
+    tracker.release('+10000000001', '100', 500);
+    tracker.release('+10000000001', '100', 500);
+    assert.deepStrictEqual(tracker.pending, {});
+    assert.strictEqual(tracker.check(capped, '100', 1000).allowed, true);
+});
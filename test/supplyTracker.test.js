@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SupplyTracker = require('../src/supplyTracker');
+const { Logger } = require('../src/logger');
+
+const MINUTE = 60000;
+
+/**
+ * Create a tracker that keeps its history in memory
+ * @returns {SupplyTracker}
+ */
+function createTracker() {
+    return new SupplyTracker(new Logger({ useConsole: false }), { alertThresholds: [50, 10, 0], velocityWindowMs: 10 * MINUTE }, null);
+}
+
+/**
+ * Build a limited gift
+ * @param {number} remains - Remaining supply
+ * @param {Object} [fields] - Other gift fields
+ * @returns {Object} Gift object
+ */
+function gift(remains, fields = {}) {
+    return { id: 100n, title: 'Rocket', availability: { remains, total: 1000 }, isSoldOut: false, ...fields };
+}
+
+test('each threshold is alerted once, with the lowest one crossed since the last check', () => {
+    const tracker = createTracker();
+
+    assert.deepStrictEqual(tracker.record([gift(1000)], 0), []);
+    assert.deepStrictEqual(tracker.record([gift(600)], MINUTE), []);
+
+    const alerts = tracker.record([gift(80)], 2 * MINUTE);
+    assert.deepStrictEqual(alerts.map(alert => alert.threshold), [10]);
+    assert.deepStrictEqual(tracker.record([gift(50)], 3 * MINUTE), []);
+
+    const soldOut = tracker.record([gift(50, { isSoldOut: true })], 4 * MINUTE);
+    assert.deepStrictEqual(soldOut.map(alert => [alert.threshold, alert.stats.remains, alert.stats.soldOutInMs]), [[0, 0, 0]]);
+});
+
+test('a gift first seen below a threshold is not alerted', () => {
+    const tracker = createTracker();
+
+    assert.deepStrictEqual(tracker.record([gift(100)], 0), []);
+    assert.deepStrictEqual(tracker.record([gift(90)], MINUTE), []);
+});
+
+test('the sales velocity covers the window and predicts the sell-out time', () => {
+    const tracker = createTracker();
+
+    tracker.record([gift(1000)], 0);
+    tracker.record([gift(900)], 5 * MINUTE);
+    tracker.record([gift(800)], 10 * MINUTE);
+
+    const stats = tracker.getStats('100');
+    assert.strictEqual(stats.velocityPerMinute, 20);
+    assert.strictEqual(stats.soldOutInMs, 40 * MINUTE);
+    assert.strictEqual(stats.soldPercent, 20);
+
+    // Nothing sold within the last window
+    tracker.record([gift(800)], 20 * MINUTE);
+    assert.strictEqual(tracker.getStats('100').velocityPerMinute, 0);
+    assert.strictEqual(tracker.getStats('100').soldOutInMs, null);
+    assert.strictEqual(tracker.getStats('100').samples, 3);
+});
+
+test('unlimited gifts are not tracked', () => {
+    const tracker = createTracker();
+
+    tracker.record([{ id: 1n, title: 'Heart', availability: null }], 0);
+    assert.deepStrictEqual(tracker.getTrackedGiftIds(), []);
+    assert.strictEqual(tracker.getStats('1'), null);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TelegramController = require('../src/telegramController');
+
+const logger = { info() {}, warning() {}, error() {}, success() {} };
+
+/**
+ * Create a controller whose purchases and audit entries are recorded instead of performed
+ * @param {Object} settings - Controller settings merged over the defaults
+ * @returns {{controller: TelegramController, purchases: Array<Array>}}
+ */
+function createController(settings = {}) {
+    const purchases = [];
+    const giftService = {
+        giftsMap: new Map(),
+        purchaseGiftsWithAllClients: async (...args) => { purchases.push(args); }
+    };
+    const controller = new TelegramController({
+        enabled: true,
+        botToken: '123456:test-token',
+        channelId: '-100123',
+        users: [],
+        allowEveryone: false,
+        confirmThreshold: 50,
+        ...settings
+    }, giftService, logger);
+
+    controller.auditLog = { record() {} };
+    return { controller, purchases };
+}
+
+/**
+ * Create a callback query context that records the answers of the bot
+ * @param {Object} from - Telegram user pressing the button
+ * @returns {Object}
+ */
+function createContext(from) {
+    const ctx = {
+        answers: [],
+        replies: [],
+        callbackQuery: { from },
+        chat: { id: -100123, type: 'supergroup' },
+        answerCallbackQuery: async answer => { ctx.answers.push(answer || {}); },
+        reply: async (text, options) => { ctx.replies.push({ text, options }); },
+        editMessageText: async text => { ctx.replies.push({ text }); },
+        editMessageReplyMarkup: async () => {}
+    };
+    return ctx;
+}
+
+test('without configured users nobody has a role', () => {
+    const { controller } = createController();
+
+    assert.strictEqual(controller.getUserRole({ id: 1 }), null);
+    assert.strictEqual(controller.hasRole({ id: 1 }, TelegramController.ROLES.VIEWER), false);
+});
+
+test('allowEveryone grants the admin role to users but not to anonymous updates', () => {
+    const { controller } = createController({ allowEveryone: true });
+
+    assert.strictEqual(controller.getUserRole({ id: 1 }), TelegramController.ROLES.ADMIN);
+    assert.strictEqual(controller.getUserRole(undefined), null);
+});
+
+test('configured users get their role and others get none', () => {
+    const { controller } = createController({ users: [{ id: 1, role: 'buyer' }, { id: 2, role: 'viewer' }], allowEveryone: true });
+
+    assert.strictEqual(controller.hasRole({ id: 1 }, TelegramController.ROLES.BUYER), true);
+    assert.strictEqual(controller.hasRole({ id: 1 }, TelegramController.ROLES.ADMIN), false);
+    assert.strictEqual(controller.hasRole({ id: 2 }, TelegramController.ROLES.BUYER), false);
+    assert.strictEqual(controller.getUserRole({ id: 3 }), null);
+    assert.strictEqual(controller.getUserRole(undefined), null);
+});
+
+test('purchase buttons are refused to users without the buyer role', async () => {
+    const { controller, purchases } = createController({ users: [{ id: 2, role: 'viewer' }] });
+    const ctx = createContext({ id: 2 });
+
+    await controller.handlePurchaseButton(ctx, '100', '1');
+
+    assert.strictEqual(purchases.length, 0);
+    assert.strictEqual(ctx.answers[0].show_alert, true);
+});
+
+test('large purchases wait for a confirmation by the same user', async () => {
+    const { controller, purchases } = createController({ users: [{ id: 1, role: 'buyer' }, { id: 4, role: 'admin' }] });
+
+    await controller.handlePurchaseButton(createContext({ id: 1 }), '100', '50');
+    assert.strictEqual(purchases.length, 0);
+
+    const [token] = controller.pendingConfirmations.keys();
+
+    await controller.handleConfirmationButton(createContext({ id: 4 }), 'confirm', token);
+    assert.strictEqual(purchases.length, 0);
+
+    await controller.handleConfirmationButton(createContext({ id: 1 }), 'confirm', token);
+    assert.deepStrictEqual(purchases, [['100', 50, true]]);
+    assert.strictEqual(controller.pendingConfirmations.size, 0);
+});
+
+test('small purchases start without a confirmation', async () => {
+    const { controller, purchases } = createController({ users: [{ id: 1, role: 'buyer' }] });
+
+    await controller.handlePurchaseButton(createContext({ id: 1 }), '100', '5');
+
+    assert.deepStrictEqual(purchases, [['100', 5, true]]);
+});
+
+test('a purchase is acknowledged before it finishes, so commands keep working', async () => {
+    const { controller } = createController({ users: [{ id: 1, role: 'admin' }] });
+    let finish;
+    controller.giftService.purchaseGiftsWithAllClients = () => new Promise(resolve => { finish = resolve; });
+    const ctx = createContext({ id: 1 });
+
+    await controller.handlePurchaseButton(ctx, '100', '5');
+
+    assert.match(ctx.replies[0].text, /Started purchase of 5 units of gift 100/);
+    assert.strictEqual(typeof finish, 'function');
+    finish();
+});
+
+test('/pause and /interval change the monitor settings', async () => {
+    const { controller } = createController();
+    const calls = [];
+    controller.giftService.setAutoBuyEnabled = enabled => calls.push(['autoBuy', enabled]);
+    controller.giftService.config = { checkIntervalMs: 500 };
+    controller.application = { setCheckInterval: intervalMs => calls.push(['interval', intervalMs]) };
+
+    await controller.handlePauseCommand(createContext({ id: 1 }), false);
+    await controller.handleIntervalCommand({ ...createContext({ id: 1 }), match: '50' });
+    await controller.handleIntervalCommand({ ...createContext({ id: 1 }), match: '250' });
+
+    assert.deepStrictEqual(calls, [['autoBuy', false], ['interval', 250]]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookSink = require('../src/webhookSink');
+
+const logger = { info() {}, warning() {}, error() {}, success() {}, child() { return logger; } };
+
+/**
+ * Start a local endpoint that records the requests it receives
+ * @returns {Promise<{url: string, requests: Array<{headers: Object, body: string}>, close: Function}>}
+ */
+async function startEndpoint() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Send log entries through a webhook sink and wait for them to be delivered
+ * @param {string|null} secret - HMAC secret of the sink
+ * @param {Array<Object>} entries - Log entries
+ * @returns {Promise<Array<{headers: Object, body: string}>>} Requests received by the endpoint
+ */
+async function deliver(secret, entries) {
+    const endpoint = await startEndpoint();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-sink-'));
+    const sink = new WebhookSink({ name: 'hook', url: endpoint.url, secret }, logger, path.join(directory, 'outbox.json'));
+    const listener = sink.createLogListener();
+
+    try {
+        entries.forEach(listener);
+        await sink.stop();
+        return endpoint.requests;
+    } finally {
+        await endpoint.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Build a log entry
+ * @param {string} message - Log message
+ * @param {Object} [context] - Context fields
+ * @returns {Object} Log entry
+ */
+function entry(message, context = {}) {
+    return { timestamp: new Date('2026-01-02T03:04:05Z'), level: 'SUCCESS', message, context, data: { giftId: 1n } };
+}
+
+test('records are signed with the HMAC of the exact body', async () => {
+    const requests = await deliver('top-secret', [entry('Bought', { component: 'giftService' })]);
+
+    assert.strictEqual(requests.length, 1);
+    const expected = crypto.createHmac('sha256', 'top-secret').update(requests[0].body).digest('hex');
+    assert.strictEqual(requests[0].headers['x-signature-256'], `sha256=${expected}`);
+    assert.deepStrictEqual(JSON.parse(requests[0].body), {
+        timestamp: '2026-01-02T03:04:05.000Z',
+        level: 'SUCCESS',
+        message: 'Bought',
+        component: 'giftService',
+        data: { giftId: '1' }
+    });
+});
+
+test('records are sent unsigned without a secret, one request per entry', async () => {
+    const requests = await deliver(null, [entry('First'), entry('Second')]);
+
+    assert.deepStrictEqual(requests.map(request => JSON.parse(request.body).message), ['First', 'Second']);
+    assert.strictEqual(requests[0].headers['x-signature-256'], undefined);
+});
+
+test('delivery problems of the notifiers are not sent', async () => {
+    const requests = await deliver(null, [entry('Failed to send notification', { component: 'notifications' })]);
+
+    assert.deepStrictEqual(requests, []);
+});